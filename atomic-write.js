@@ -0,0 +1,32 @@
+'use strict'
+
+const crypto = require('crypto')
+const fs = require('fs').promises
+
+const noop = () => {}
+
+/**
+ * Replace the content of a file, writing to a temporary file first so a crash
+ * can't leave a truncated file behind. The temporary file is unique to the
+ * call, so processes sharing the file don't write over each other's.
+ *
+ * @param {String} filePath
+ * @param {String} content
+ * @return {Promise}
+ */
+
+async function writeFileAtomically(filePath, content) {
+    const tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`
+
+    try {
+        await fs.writeFile(tmpPath, content)
+        await fs.rename(tmpPath, filePath)
+    } catch (err) {
+        await fs.unlink(tmpPath).catch(noop)
+        throw err
+    }
+}
+
+module.exports = {
+    writeFileAtomically,
+}
@@ -0,0 +1,80 @@
+'use strict'
+
+const CLOSED = 'closed'
+const OPEN = 'open'
+const HALF_OPEN = 'halfOpen'
+
+/**
+ * Stops requests to a failing service after `failureThreshold` consecutive
+ * failures, or right away for as long as the service asks with `Retry-After`.
+ * Once `resetTimeout` has passed, a single probe request is let through: the
+ * circuit closes again if it succeeds and re-opens if it fails.
+ */
+
+class CircuitBreaker {
+    /**
+     * @param {Object} [options] (optional)
+     *   @property {Number} failureThreshold (default: 5)
+     *   @property {Number} resetTimeout (default: 30000) milliseconds to wait before probing
+     *   @property {Boolean} honorRetryAfter (default: true) open when the service asks to wait, even
+     *     before `failureThreshold` failures
+     */
+
+    constructor(options) {
+        options = options || {}
+
+        this.failureThreshold = options.failureThreshold || 5
+        this.resetTimeout = typeof options.resetTimeout === 'number' ? options.resetTimeout : 30000
+        this.honorRetryAfter = options.honorRetryAfter !== false
+        this.state = CLOSED
+        this.failures = 0
+        this.openUntil = 0
+    }
+
+    get isClosed() {
+        return this.state === CLOSED
+    }
+
+    /**
+     * Milliseconds until a probe request is let through, 0 unless the circuit is open.
+     *
+     * @return {Number}
+     */
+
+    get remainingTimeout() {
+        return this.state === OPEN ? Math.max(this.openUntil - Date.now(), 0) : 0
+    }
+
+    allowRequest() {
+        if (this.state === OPEN && Date.now() >= this.openUntil) {
+            this.state = HALF_OPEN
+        }
+
+        return this.state !== OPEN
+    }
+
+    recordSuccess() {
+        this.state = CLOSED
+        this.failures = 0
+    }
+
+    /**
+     * @param {Number} [retryAfter] (optional) milliseconds the service asked us to wait,
+     *   opens the circuit for at least that long
+     */
+
+    recordFailure(retryAfter) {
+        this.failures++
+
+        if (this.state === HALF_OPEN || this.failures >= this.failureThreshold) {
+            this.state = OPEN
+            this.openUntil = Date.now() + Math.max(this.resetTimeout, retryAfter || 0)
+        } else if (this.honorRetryAfter && retryAfter > 0) {
+            // requests sent before then would be turned away too
+            this.state = OPEN
+            this.openUntil = Date.now() + retryAfter
+        }
+    }
+}
+
+module.exports = CircuitBreaker
@@ -26,6 +26,10 @@ function eventValidation(event, type) {
             return validateGroupIdentifyEvent(event)
         case 'isFeatureEnabled':
             return validateIsFeatureEnabled(event)
+        case 'getFeatureFlag':
+            return validateGetFeatureFlag(event)
+        case 'getAllFlags':
+            return validateGetAllFlags(event)
         default:
             assert(0, 'Invalid event type: "' + type + '"')
     }
@@ -38,6 +42,7 @@ function eventValidation(event, type) {
 function validateCaptureEvent(event) {
     assert(event.distinctId, 'You must pass a "distinctId".')
     assert(event.event, 'You must pass an "event".')
+    validateUnset(event)
 }
 
 /**
@@ -46,6 +51,22 @@ function validateCaptureEvent(event) {
 
 function validateIdentifyEvent(event) {
     assert(event.distinctId, 'You must pass a "distinctId".')
+    validateUnset(event)
+}
+
+/**
+ * Validate the person properties to remove.
+ */
+
+function validateUnset(event) {
+    if (event.unset) {
+        assert(
+            event.unset.every(function (key) {
+                return type(key) === 'string'
+            }),
+            '"unset" must be an array of property names.'
+        )
+    }
 }
 
 /**
@@ -71,12 +92,34 @@ function validateAliasEvent(event) {
  */
 
  function validateIsFeatureEnabled(event) {
+    validateGetFeatureFlag(event)
+    assert(type(event.defaultResult) == 'boolean', '"defaultResult" must be a boolean.')
+}
+
+/**
+ * Validate a "getFeatureFlag" call
+ */
+
+function validateGetFeatureFlag(event) {
     assert(event.key, 'You must pass a "key".')
+    validateGetAllFlags(event)
+}
+
+/**
+ * Validate a "getAllFlags" call
+ */
+
+function validateGetAllFlags(event) {
     assert(event.distinctId, 'You must pass a "distinctId".')
-    assert(type(event.defaultResult) == 'boolean', '"defaultResult" must be a boolean.')
     if (event.groups) {
         assert(type(event.groups) == 'object', 'You must pass an object for "groups".')
     }
+    if (event.personProperties) {
+        assert(type(event.personProperties) == 'object', 'You must pass an object for "personProperties".')
+    }
+    if (event.groupProperties) {
+        assert(type(event.groupProperties) == 'object', 'You must pass an object for "groupProperties".')
+    }
 }
 
 
@@ -87,6 +130,8 @@ function validateAliasEvent(event) {
 var genericValidationRules = {
     event: 'string',
     properties: 'object',
+    setOnce: 'object',
+    unset: 'array',
     alias: 'string',
     timestamp: 'date',
     distinctId: 'string',
@@ -110,7 +155,7 @@ function validateGenericEvent(event) {
         if (type(rule) !== 'array') {
             rule = [rule]
         }
-        var a = rule[0] === 'object' ? 'an' : 'a'
+        var a = rule[0] === 'object' || rule[0] === 'array' ? 'an' : 'a'
         assert(
             rule.some(function (e) {
                 return type(val) === e
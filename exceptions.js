@@ -0,0 +1,82 @@
+'use strict'
+
+// leaves room for the rest of the message within the 32 kB limit of `event-validation.js`
+const MAX_EXCEPTION_SIZE = 30 << 10
+const MAX_MESSAGE_LENGTH = 1024
+
+// `    at fn (file:line:col)`, `    at file:line:col` or `    at async fn (file:line:col)`
+const FRAME_PATTERN = /^\s*at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?$/
+
+/**
+ * The properties of an `$exception` event for `error`, with its stack parsed
+ * into frames, innermost first. When they don't fit in `maxSize` bytes along
+ * with the other `properties` of the event, the message is shortened first and
+ * then frames are dropped from the outermost end.
+ *
+ * @param {*} error usually an `Error`, but anything can be thrown
+ * @param {Object} [properties] (optional) the other properties of the event
+ * @param {Number} [maxSize] (default: 30 kB)
+ * @return {Object}
+ */
+
+function exceptionProperties(error, properties, maxSize) {
+    maxSize = maxSize || MAX_EXCEPTION_SIZE
+    const reservedSize = properties ? byteSize(properties) : 0
+
+    const isError = error instanceof Error
+    const exception = {
+        $exception_type: (isError && error.name) || 'Error',
+        $exception_message: isError ? String(error.message) : String(error),
+        $exception_stack_frames: isError ? parseStackFrames(error.stack) : [],
+        $node_version: process.version,
+    }
+    const fits = () => reservedSize + byteSize(exception) <= maxSize
+
+    if (!fits()) {
+        exception.$exception_message = exception.$exception_message.slice(0, MAX_MESSAGE_LENGTH)
+    }
+
+    const frames = exception.$exception_stack_frames
+    while (frames.length && !fits()) {
+        frames.pop()
+        exception.$exception_stack_truncated = true
+    }
+
+    return exception
+}
+
+/**
+ * @param {String} [stack]
+ * @return {Array<Object>} `{ function, filename, lineno, colno, in_app }` for each frame
+ */
+
+function parseStackFrames(stack) {
+    const frames = []
+
+    for (const line of String(stack || '').split('\n')) {
+        const match = FRAME_PATTERN.exec(line)
+        if (!match) {
+            continue
+        }
+
+        const filename = match[2]
+        frames.push({
+            function: match[1] || '<anonymous>',
+            filename,
+            lineno: Number(match[3]),
+            colno: Number(match[4]),
+            in_app: !filename.startsWith('node:') && filename.indexOf('node_modules') === -1,
+        })
+    }
+
+    return frames
+}
+
+function byteSize(value) {
+    return Buffer.byteLength(JSON.stringify(value), 'utf8')
+}
+
+module.exports = {
+    exceptionProperties,
+    parseStackFrames,
+}
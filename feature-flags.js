@@ -1,10 +1,14 @@
-const axios = require('axios')
 const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
 const ms = require('ms')
 const version = require('./package.json').version
+const { writeFileAtomically } = require('./atomic-write')
 
 const LONG_SCALE = 0xfffffffffffffff
 
+const noop = () => {}
+
 class ClientError extends Error {
     constructor(message, extra) {
         super()
@@ -17,26 +21,189 @@ class ClientError extends Error {
     }
 }
 
+class InconclusiveMatchError extends Error {
+    constructor(message) {
+        super()
+        Error.captureStackTrace(this, this.constructor)
+        this.name = 'InconclusiveMatchError'
+        this.message = message
+    }
+}
+
+// Returns a float between 0 and 1 that is consistent for a given key and distinctId
+function _hash(key, distinctId, salt = '') {
+    const sha1Hash = crypto.createHash('sha1')
+    sha1Hash.update(`${key}.${distinctId}${salt}`)
+    const integerRepresentationOfHashSubset = parseInt(sha1Hash.digest('hex').slice(0, 15), 16)
+    return integerRepresentationOfHashSubset / LONG_SCALE
+}
+
+function matchProperty(property, propertyValues) {
+    const key = property.key
+    const value = property.value
+    const operator = property.operator || 'exact'
+
+    if (property.type === 'cohort') {
+        throw new InconclusiveMatchError("Can't match cohort properties locally")
+    }
+
+    if (!(key in propertyValues)) {
+        throw new InconclusiveMatchError(`Can't match property "${key}" without a given property value`)
+    }
+
+    const overrideValue = propertyValues[key]
+
+    switch (operator) {
+        case 'exact':
+            return isExactMatch(value, overrideValue)
+        case 'is_not':
+            return !isExactMatch(value, overrideValue)
+        case 'is_set':
+            return true
+        case 'is_not_set':
+            return false
+        case 'icontains':
+            return String(overrideValue).toLowerCase().includes(String(value).toLowerCase())
+        case 'not_icontains':
+            return !String(overrideValue).toLowerCase().includes(String(value).toLowerCase())
+        case 'regex':
+            return isRegexMatch(value, overrideValue) === true
+        case 'not_regex':
+            return isRegexMatch(value, overrideValue) === false
+        case 'gt':
+            return typeof overrideValue === typeof value && overrideValue > value
+        case 'gte':
+            return typeof overrideValue === typeof value && overrideValue >= value
+        case 'lt':
+            return typeof overrideValue === typeof value && overrideValue < value
+        case 'lte':
+            return typeof overrideValue === typeof value && overrideValue <= value
+        default:
+            throw new InconclusiveMatchError(`Unknown operator: ${operator}`)
+    }
+}
+
+function isExactMatch(value, overrideValue) {
+    const values = Array.isArray(value) ? value : [value]
+    return values.some((val) => String(val).toLowerCase() === String(overrideValue).toLowerCase())
+}
+
+// returns null when the pattern isn't a valid regex, which never counts as a match
+function isRegexMatch(pattern, overrideValue) {
+    let regex
+    try {
+        regex = new RegExp(pattern)
+    } catch (err) {
+        return null
+    }
+    return regex.test(String(overrideValue))
+}
+
+// payloads are stored as JSON strings, but plain strings are valid payloads too
+function parsePayload(payload) {
+    if (typeof payload !== 'string') {
+        return payload
+    }
+    try {
+        return JSON.parse(payload)
+    } catch (err) {
+        return payload
+    }
+}
+
+// flag definitions to bootstrap from, in the shape of the `api/feature_flag` response, a plain
+// array of flags, or the path of a JSON file holding either
+function readFlagDefinitions(definitions) {
+    if (typeof definitions === 'string') {
+        definitions = JSON.parse(fs.readFileSync(definitions, 'utf8'))
+    }
+
+    if (Array.isArray(definitions)) {
+        return { flags: definitions, groupTypeMapping: {} }
+    }
+
+    return {
+        flags: definitions.results || definitions.flags || [],
+        groupTypeMapping: definitions.group_type_mapping || {},
+    }
+}
+
 class FeatureFlagsPoller {
-    constructor({ pollingInterval, personalApiKey, projectApiKey, timeout, host, featureFlagCalledCallback }) {
+    constructor({
+        pollingInterval,
+        personalApiKey,
+        projectApiKey,
+        timeout,
+        host,
+        transport,
+        featureFlagCalledCallback,
+        onFlagsLoaded = noop,
+        onFlagsLoadFailed = noop,
+        bootstrapFlags,
+        flagOverrides = {},
+        flagOverridesByDistinctId = {},
+        flagCachePath,
+    }) {
         this.pollingInterval = pollingInterval
         this.personalApiKey = personalApiKey
         this.featureFlags = []
+        this.groupTypeMapping = {}
         this.loadedSuccessfullyOnce = false
         this.timeout = timeout
         this.projectApiKey = projectApiKey
         this.featureFlagCalledCallback = featureFlagCalledCallback
+        this.onFlagsLoaded = onFlagsLoaded
+        this.onFlagsLoadFailed = onFlagsLoadFailed
         this.host = host
+        this.transport = transport
         this.poller = null
+        this.flagOverrides = flagOverrides
+        this.flagOverridesByDistinctId = flagOverridesByDistinctId
+        this.flagCachePath = flagCachePath
+        // validators of the last loaded definitions
+        this.etag = null
+        this.lastModified = null
 
-        void this.loadFeatureFlags()
+        if (bootstrapFlags) {
+            this._setFeatureFlags(readFlagDefinitions(bootstrapFlags))
+        }
+
+        // the last definitions loaded by a previous run are fresher than the bootstrapped ones
+        if (flagCachePath) {
+            this._readCache()
+        }
+
+        // bootstrapped definitions are replaced by the polled ones once they load
+        void this.loadFeatureFlags(true)
     }
 
-    async isFeatureEnabled(key, distinctId, defaultResult = false, groups = {}) {
+    async isFeatureEnabled(
+        key,
+        distinctId,
+        defaultResult = false,
+        groups = {},
+        personProperties = {},
+        groupProperties = {}
+    ) {
+        const response = await this.getFeatureFlag(key, distinctId, { groups, personProperties, groupProperties })
+
+        if (response === undefined) {
+            return defaultResult
+        }
+
+        return !!response
+    }
+
+    async getFeatureFlag(key, distinctId, { groups = {}, personProperties = {}, groupProperties = {} } = {}) {
+        const override = this._getOverride(key, distinctId)
+        if (override !== undefined) {
+            return override
+        }
+
         await this.loadFeatureFlags()
 
         if (!this.loadedSuccessfullyOnce) {
-            return defaultResult
+            return undefined
         }
 
         let featureFlag = null
@@ -49,27 +216,259 @@ class FeatureFlagsPoller {
         }
 
         if (!featureFlag) {
-            return defaultResult
+            return undefined
         }
 
-        let isFlagEnabledResponse
+        let response
 
-        if (featureFlag.is_simple_flag) {
-            isFlagEnabledResponse = this._isSimpleFlagEnabled({
-                key,
-                distinctId,
-                rolloutPercentage: featureFlag.rolloutPercentage,
-            })
-        } else {
-            const res = await this._request({ path: 'decide', method: 'POST', data: { groups, distinct_id: distinctId } })
-            isFlagEnabledResponse = res.data.featureFlags.indexOf(key) >= 0
+        try {
+            response = this._computeFlagLocally(featureFlag, distinctId, groups, personProperties, groupProperties)
+        } catch (err) {
+            if (!(err instanceof InconclusiveMatchError)) {
+                throw err
+            }
+
+            // the flag depends on data only the server has (e.g. cohorts), so ask /decide/
+            const decideFlags = await this._getDecideFlags(distinctId, groups)
+            response = key in decideFlags ? decideFlags[key] : false
         }
 
-        this.featureFlagCalledCallback(key, distinctId, isFlagEnabledResponse)
-        return isFlagEnabledResponse
+        this.featureFlagCalledCallback(key, distinctId, response)
+        return response
+    }
+
+    async getAllFlags(distinctId, { groups = {}, personProperties = {}, groupProperties = {} } = {}) {
+        await this.loadFeatureFlags()
+
+        const overrides = Object.assign({}, this.flagOverrides, this.flagOverridesByDistinctId[distinctId])
+
+        if (!this.loadedSuccessfullyOnce) {
+            return overrides
+        }
+
+        const response = {}
+        let fallbackToDecide = false
+
+        for (const flag of this.featureFlags) {
+            if (flag.key in overrides) {
+                continue
+            }
+
+            try {
+                response[flag.key] = this._computeFlagLocally(
+                    flag,
+                    distinctId,
+                    groups,
+                    personProperties,
+                    groupProperties
+                )
+            } catch (err) {
+                if (!(err instanceof InconclusiveMatchError)) {
+                    throw err
+                }
+                fallbackToDecide = true
+            }
+        }
+
+        if (fallbackToDecide) {
+            // a single /decide/ call resolves every flag we couldn't evaluate locally
+            try {
+                const decideFlags = await this._getDecideFlags(distinctId, groups)
+                for (const flag of this.featureFlags) {
+                    if (!(flag.key in response) && !(flag.key in overrides)) {
+                        response[flag.key] = flag.key in decideFlags ? decideFlags[flag.key] : false
+                    }
+                }
+            } catch (err) {
+                // the flags evaluated locally are still right, leave out the ones we couldn't resolve
+            }
+        }
+
+        return Object.assign(response, overrides)
+    }
+
+    async getFeatureFlagPayload(
+        key,
+        distinctId,
+        matchValue,
+        { groups = {}, personProperties = {}, groupProperties = {} } = {}
+    ) {
+        if (matchValue === undefined) {
+            matchValue = this._getOverride(key, distinctId)
+        }
+
+        await this.loadFeatureFlags()
+
+        if (!this.loadedSuccessfullyOnce) {
+            return undefined
+        }
+
+        const featureFlag = this.featureFlags.find((flag) => flag.key === key)
+
+        if (!featureFlag) {
+            return undefined
+        }
+
+        if (matchValue === undefined) {
+            try {
+                matchValue = this._computeFlagLocally(
+                    featureFlag,
+                    distinctId,
+                    groups,
+                    personProperties,
+                    groupProperties
+                )
+            } catch (err) {
+                if (!(err instanceof InconclusiveMatchError)) {
+                    throw err
+                }
+
+                const decideResponse = await this._decide(distinctId, groups)
+                return parsePayload((decideResponse.featureFlagPayloads || {})[key])
+            }
+        }
+
+        return this._computeFlagPayloadLocally(featureFlag, matchValue)
+    }
+
+    // overrides win over polled definitions and /decide/, the ones for a user over the global ones
+    _getOverride(key, distinctId) {
+        const userOverrides = this.flagOverridesByDistinctId[distinctId] || {}
+
+        if (key in userOverrides) {
+            return userOverrides[key]
+        }
+        return this.flagOverrides[key]
+    }
+
+    _computeFlagPayloadLocally(flag, matchValue) {
+        if (matchValue === false || matchValue === null) {
+            return undefined
+        }
+
+        const payloads = (flag.filters || {}).payloads || {}
+        return parsePayload(payloads[String(matchValue)])
+    }
+
+    async _getDecideFlags(distinctId, groups = {}) {
+        const decideResponse = await this._decide(distinctId, groups)
+        return decideResponse.featureFlags || {}
+    }
+
+    async _decide(distinctId, groups = {}) {
+        const res = await this._request({
+            path: 'decide',
+            transportMethod: 'decide',
+            query: { v: 3 },
+            data: { groups, distinct_id: distinctId },
+        })
+        return res.data
+    }
+
+    _computeFlagLocally(flag, distinctId, groups = {}, personProperties = {}, groupProperties = {}) {
+        if (flag.ensure_experience_continuity) {
+            throw new InconclusiveMatchError('Flag has experience continuity enabled')
+        }
+
+        const aggregationGroupTypeIndex = (flag.filters || {}).aggregation_group_type_index
+
+        if (aggregationGroupTypeIndex === undefined || aggregationGroupTypeIndex === null) {
+            return this._matchFeatureFlagProperties(flag, distinctId, personProperties)
+        }
+
+        const groupName = this.groupTypeMapping[String(aggregationGroupTypeIndex)]
+
+        if (!groupName) {
+            throw new InconclusiveMatchError('Flag has unknown group type index')
+        }
+
+        if (!(groupName in groups)) {
+            // a group flag can't match when the group isn't passed in
+            return false
+        }
+
+        return this._matchFeatureFlagProperties(flag, groups[groupName], groupProperties[groupName] || {})
+    }
+
+    _matchFeatureFlagProperties(flag, distinctId, properties) {
+        const conditions = (flag.filters || {}).groups || []
+        let isInconclusive = false
+
+        // conditions with a variant override are evaluated first so they win over plain rollouts
+        const sortedConditions = conditions
+            .slice()
+            .sort((conditionA, conditionB) => (conditionB.variant ? 1 : 0) - (conditionA.variant ? 1 : 0))
+
+        for (const condition of sortedConditions) {
+            try {
+                if (this._isConditionMatch(flag, distinctId, condition, properties)) {
+                    return this._getConditionVariant(flag, distinctId, condition) || true
+                }
+            } catch (err) {
+                if (!(err instanceof InconclusiveMatchError)) {
+                    throw err
+                }
+                // keep going, a later condition may still match
+                isInconclusive = true
+            }
+        }
+
+        if (isInconclusive) {
+            throw new InconclusiveMatchError("Can't determine if feature flag is enabled or not with given properties")
+        }
+
+        return false
+    }
+
+    _isConditionMatch(flag, distinctId, condition, properties) {
+        const conditionProperties = condition.properties || []
+
+        if (!conditionProperties.every((property) => matchProperty(property, properties))) {
+            return false
+        }
+
+        return this._isSimpleFlagEnabled({
+            key: flag.key,
+            distinctId,
+            rolloutPercentage: condition.rollout_percentage,
+        })
+    }
+
+    _getConditionVariant(flag, distinctId, condition) {
+        const variantOverride = condition.variant
+
+        if (variantOverride && this._getVariants(flag).some((variant) => variant.key === variantOverride)) {
+            return variantOverride
+        }
+
+        return this._getMatchingVariant(flag, distinctId)
+    }
+
+    _getMatchingVariant(flag, distinctId) {
+        const hashValue = _hash(flag.key, distinctId, 'variant')
+        let valueMin = 0
+
+        for (const variant of this._getVariants(flag)) {
+            const valueMax = valueMin + variant.rollout_percentage / 100
+            if (hashValue >= valueMin && hashValue < valueMax) {
+                return variant.key
+            }
+            valueMin = valueMax
+        }
+
+        return null
+    }
+
+    _getVariants(flag) {
+        return ((flag.filters || {}).multivariate || {}).variants || []
     }
 
     async loadFeatureFlags(forceReload = false) {
+        // without a personal api key, only bootstrapped definitions and overrides are used
+        if (!this.personalApiKey) {
+            return
+        }
+
         if (!this.loadedSuccessfullyOnce || forceReload) {
             await this._loadFeatureFlags()
         }
@@ -84,72 +483,167 @@ class FeatureFlagsPoller {
         this.poller = setTimeout(() => this._loadFeatureFlags(), this.pollingInterval)
 
         try {
-            const res = await this._request({ path: 'api/feature_flag', usePersonalApiKey: true })
+            const res = await this._request({
+                path: 'api/feature_flag',
+                usePersonalApiKey: true,
+                headers: this._conditionalHeaders(),
+            })
             if (res && res.status === 401) {
                 throw new ClientError(
                     `Your personalApiKey is invalid. Are you sure you're not using your Project API key? More information: https://posthog.com/docs/api/overview`
                 )
             }
 
-            this.featureFlags = res.data.results.filter(flag => flag.active)
+            // the definitions haven't changed since they were last loaded
+            if (res.status === 304) {
+                this.onFlagsLoaded(this.featureFlags)
+                return
+            }
 
-            this.loadedSuccessfullyOnce = true
+            const data = await this._loadRemainingPages(res.data)
+            this._setFeatureFlags(readFlagDefinitions(data))
+            this.etag = res.headers && res.headers['etag'] ? res.headers['etag'] : null
+            this.lastModified = res.headers && res.headers['last-modified'] ? res.headers['last-modified'] : null
+
+            if (this.flagCachePath) {
+                await this._writeCache(data)
+            }
+
+            this.onFlagsLoaded(this.featureFlags)
         } catch (err) {
+            this.onFlagsLoadFailed(err)
+
             // if an error that is not an instance of ClientError is thrown
-            // we silently ignore the error when reloading feature flags
+            // we ignore the error when reloading feature flags
             if (err instanceof ClientError) {
                 throw err
             }
         }
     }
 
+    _conditionalHeaders() {
+        const headers = {}
+        if (this.etag) {
+            headers['If-None-Match'] = this.etag
+        }
+        if (this.lastModified) {
+            headers['If-Modified-Since'] = this.lastModified
+        }
+        return headers
+    }
+
+    // follows the `next` links of a paginated response, the results of every page are merged into the first
+    async _loadRemainingPages(data) {
+        const results = (data.results || []).slice()
+        let next = data.next
+
+        while (next) {
+            const res = await this._request({ url: next, usePersonalApiKey: true })
+            results.push(...(res.data.results || []))
+            next = res.data.next
+        }
+
+        return Object.assign({}, data, { results, next: null })
+    }
+
+    _setFeatureFlags({ flags, groupTypeMapping }) {
+        this.featureFlags = flags.filter((flag) => flag.active)
+        this.groupTypeMapping = groupTypeMapping
+        this.loadedSuccessfullyOnce = true
+    }
+
+    _readCache() {
+        let cache
+        let definitions
+        try {
+            cache = JSON.parse(fs.readFileSync(this.flagCachePath, 'utf8'))
+            definitions = readFlagDefinitions(cache.data)
+        } catch (err) {
+            // there is no cache yet, or it can't be read: the flags are loaded from PostHog as usual
+            return
+        }
+
+        this._setFeatureFlags(definitions)
+        this.etag = cache.etag || null
+        this.lastModified = cache.lastModified || null
+    }
+
+    async _writeCache(data) {
+        const cache = { etag: this.etag, lastModified: this.lastModified, data }
+
+        try {
+            await fs.promises.mkdir(path.dirname(this.flagCachePath), { recursive: true })
+            await writeFileAtomically(this.flagCachePath, JSON.stringify(cache))
+        } catch (err) {
+            // the cache is best effort, the loaded flags are used either way
+        }
+    }
+
     // sha1('a.b') should equal '69f6642c9d71b463485b4faf4e989dc3fe77a8c6'
     // integerRepresentationOfHashSubset / LONG_SCALE for sha1('a.b') should equal 0.4139158829615955
     _isSimpleFlagEnabled({ key, distinctId, rolloutPercentage }) {
-        if (!rolloutPercentage) {
+        if (rolloutPercentage === undefined || rolloutPercentage === null) {
             return true
         }
-        const sha1Hash = crypto.createHash('sha1')
-        sha1Hash.update(`${key}.${distinctId}`)
-        const integerRepresentationOfHashSubset = parseInt(sha1Hash.digest('hex').slice(0, 15), 16)
-        return integerRepresentationOfHashSubset / LONG_SCALE <= rolloutPercentage / 100
+        return _hash(key, distinctId) <= rolloutPercentage / 100
     }
 
     /* istanbul ignore next */
-    async _request({ path, method = 'GET', usePersonalApiKey = false, data = {} }) {
-        let url = `${this.host}/${path}/`
+    async _request({
+        path,
+        url,
+        transportMethod = 'fetchFlags',
+        usePersonalApiKey = false,
+        data = {},
+        query = {},
+        headers: extraHeaders = {},
+    }) {
+        // the `next` links of paginated responses are complete urls, query string included
+        const hasFullUrl = !!url
+        url = url || `${this.host}/${path}/`
         let headers = {
             'Content-Type': 'application/json',
+            ...extraHeaders,
         }
 
         if (usePersonalApiKey) {
             headers = { ...headers, Authorization: `Bearer ${this.personalApiKey}` }
-            url = url + `?token=${this.projectApiKey}`
+            query = { ...query, token: this.projectApiKey }
         } else {
             data = { ...data, token: this.projectApiKey }
         }
 
+        const queryString = new URLSearchParams(query).toString()
+        if (queryString && !hasFullUrl) {
+            url = url + `?${queryString}`
+        }
+
         if (typeof window === 'undefined') {
             headers['user-agent'] = `posthog-node/${version}`
         }
 
         const req = {
-            method: method,
             url: url,
             headers: headers,
-            data: JSON.stringify(data),
+        }
+
+        if (transportMethod !== 'fetchFlags') {
+            req.data = data
         }
 
         if (this.timeout) {
             req.timeout = typeof this.timeout === 'string' ? ms(this.timeout) : this.timeout
         }
 
-
         let res
         try {
-            res = await axios.request(req)
+            res = await this.transport[transportMethod](req)
         } catch (err) {
-            throw new Error(`Request to ${path} failed with error: ${err.message}`)
+            // transports reject responses outside of 2xx, including the 304 of a conditional request
+            if (err.response && err.response.status === 304) {
+                return err.response
+            }
+            throw new Error(`Request to ${path || url} failed with error: ${err.message}`)
         }
 
         return res
@@ -161,5 +655,8 @@ class FeatureFlagsPoller {
 }
 
 module.exports = {
+    _hash,
     FeatureFlagsPoller,
+    InconclusiveMatchError,
+    matchProperty,
 }
@@ -2,34 +2,136 @@
 // Project: Posthog
 
 declare module 'posthog-node' {
+    import { EventEmitter } from 'events'
+
     interface Option {
         flushAt?: number
         flushInterval?: number
         host?: string
         enable?: boolean
         personalApiKey?: string
+        bootstrapFlags?: string | any[] | Record<string, any> // Flag definitions to use until polled, or without a personalApiKey
+        flagOverrides?: Record<string, string | boolean> // Flag values for everyone, win over definitions and /decide/
+        flagOverridesByDistinctId?: Record<string, Record<string, string | boolean>> // Win over `flagOverrides`
+        flagCachePath?: string // Keeps the last loaded flag definitions, used on the next start until flags load
         featureFlagsPollingInterval?: number
+        sendFeatureFlagEvent?: boolean // Set to false to never send `$feature_flag_called` events
+        featureFlagCalledCacheSize?: number // How many reported `$feature_flag_called` combinations to remember
+        storage?: StorageAdapter // Spools batches that couldn't be delivered and replays them later
+        maxQueueSize?: number // Maximum number of messages held in memory, unbounded by default
+        queueOverflow?: 'dropOldest' | 'dropNewest' | 'block' // What to do with messages once the queue is full
+        retryCount?: number
+        circuitBreaker?: CircuitBreakerOptions | false // Pauses delivery after repeated failures, `false` to disable
+        maxBatchSize?: number // Maximum size of a batch in bytes, 500 kB by default
+        beforeSend?: (message: any) => any // Modify messages before they are queued, return nothing to drop them
+        sampleRates?: Record<string, number> // Share of users to capture each event for, between 0 and 1
+        redact?: RedactOptions // Scrubs personal data from `properties`, `$set` and `$set_once`
+        exceptionAutocapture?: boolean // Capture uncaught exceptions and unhandled rejections as `$exception` events
+        compression?: 'gzip' // Compress batches, falls back to uncompressed batches if the server rejects them
+        transport?: 'axios' | 'fetch' | Transport // Performs the HTTP requests, 'axios' by default
+    }
+    interface RedactOptions {
+        keys?: string[] // Property keys whose values are always redacted, matched case-insensitively
+        patterns?: RegExp[] // Redacts the parts of string values matching any of these
+        detectors?: Array<'email' | 'creditCard' | 'jwt'> // All of them by default
+        replacement?: string // '[REDACTED]' by default
+        mode?: 'redact' | 'report' // 'report' only emits `redacted` events and leaves values as they are
+    }
+    interface CircuitBreakerOptions {
+        failureThreshold?: number // Failed batches in a row before delivery is paused, 5 by default
+        resetTimeout?: number // Milliseconds to wait before probing again, 30000 by default
+        honorRetryAfter?: boolean // Pause as soon as PostHog asks to wait with `Retry-After`, true by default
+    }
+    interface TransportRequest {
+        url: string
+        headers: Record<string, string>
+        data?: any
+        timeout?: number
+    }
+    interface TransportResponse {
+        status: number
+        headers: Record<string, string>
+        data: any
+    }
+    interface Transport {
+        sendBatch(req: TransportRequest): Promise<TransportResponse>
+        fetchFlags(req: TransportRequest): Promise<TransportResponse>
+        decide(req: TransportRequest): Promise<TransportResponse>
+    }
+    interface StorageAdapter {
+        append(batch: any[]): Promise<void>
+        drain(): Promise<any[][]>
     }
     interface IdentifyMessage {
         distinctId: string
         properties?: Record<string | number, any>
+        setOnce?: Record<string | number, any> // Person properties only set if they aren't set yet, sent as `$set_once`
+        unset?: string[] // Person properties to remove, sent as `$unset`
     }
 
-    interface EventMessage extends IdentifyMessage {
+    interface EventMessage extends Omit<IdentifyMessage, 'distinctId'> {
+        distinctId?: string // Required unless it is set by the request context, see `runWithContext`
         event: string
         groups?: Record<string, string | number> // Mapping of group type to group id
+        sendFeatureFlags?: boolean // Attach the user's feature flags as `$feature/<key>` properties
+    }
+
+    interface RequestContext {
+        distinctId?: string // Used when `capture` or a feature flag method is called without one
+        groups?: Record<string, string | number> // Added to the groups of events and feature flag evaluations
+        properties?: Record<string | number, any> // Added to the properties of captured events
+    }
+
+    // The distinctId and groups bound by the middleware are used where a call omits them
+    interface ScopedClient {
+        capture(message: EventMessage): this
+        identify(message: Omit<IdentifyMessage, 'distinctId'> & { distinctId?: string }): this
+        alias(data: { distinctId: string; alias: string }): this
+        groupIdentify(message: GroupIdentifyMessage): this
+        isFeatureEnabled: PostHog['isFeatureEnabled']
+        getFeatureFlag: PostHog['getFeatureFlag']
+        getFeatureFlagPayload: PostHog['getFeatureFlagPayload']
+        getAllFlags: PostHog['getAllFlags']
+        flush: PostHog['flush']
+        withContext(properties: Record<string | number, any>): ScopedClient
     }
 
     type GroupType = string
     type GroupKey = string
 
+    interface FlushData {
+        api_key: string
+        batch: any[]
+    }
+
+    type JsonType = string | number | boolean | null | { [key: string]: JsonType } | JsonType[]
+
+    interface FeatureFlagOptions {
+        groups?: Record<GroupType, GroupKey> // Mapping of group type to group id
+        personProperties?: Record<string, any> // Known properties of the person, used to evaluate flags locally
+        groupProperties?: Record<GroupType, Record<string, any>> // Known properties of each group, keyed by group type
+    }
+
     interface GroupIdentifyMessage {
         groupType: GroupType
         groupKey: GroupKey // Unique identifier for the group
         properties?: Record<string | number, any>
     }
 
-    export default class PostHog {
+    /**
+     * Events emitted by the client:
+     * - `flush` (data) after a batch was delivered
+     * - `error` (err) when a batch couldn't be delivered or stored, only emitted if there is a listener for it
+     * - `retry` ({ retryCount, error, request }) before a failed request is retried, `request` is 'sendBatch' for
+     *   batches and 'fetchFlags' or 'decide' for feature flags
+     * - `dropped` (messages) when messages are dropped because the queue is full
+     * - `redacted` (fields, message) when personal data was found in the properties of a message
+     * - `circuitOpen` (err) when delivery is paused after repeated failures
+     * - `circuitClose` () when delivery resumes after a successful probe
+     * - `flagsLoaded` (flags) after feature flags were loaded
+     * - `flagsLoadFailed` (err) when feature flags couldn't be loaded
+     */
+    export default class PostHog extends EventEmitter {
         constructor(apiKey: string, options?: Option)
         /**
          * @description Capture allows you to capture anything a user does within your system,
@@ -40,8 +142,12 @@ declare module 'posthog-node' {
          * @param event We recommend using [verb] [noun], like movie played or movie updated to easily identify what your events mean later on.
          * @param properties OPTIONAL | which can be a object with any information you'd like to add
          * @param groups OPTIONAL | object of what groups are related to this event, example: { company: 'id:5' }. Can be used to analyze companies instead of users.
+         * @param sendFeatureFlags OPTIONAL | attach the user's feature flags to the event as `$feature/<key>` and `$active_feature_flags` properties.
+         * Requires `personalApiKey` in your config, flags are evaluated locally where possible.
+         * @param setOnce OPTIONAL | person properties to set only if the person doesn't have them yet
+         * @param unset OPTIONAL | names of person properties to remove
          */
-        capture({ distinctId, event, properties, groups }: EventMessage): void
+        capture({ distinctId, event, properties, groups, sendFeatureFlags, setOnce, unset }: EventMessage): void
 
         /**
          * @description Identify lets you add metadata on your users so you can more easily identify who they are in PostHog,
@@ -49,8 +155,10 @@ declare module 'posthog-node' {
          * An identify call requires:
          * @param distinctId which uniquely identifies your user
          * @param properties with a dict with any key: value pairs
+         * @param setOnce OPTIONAL | properties to set only if the person doesn't have them yet, like `initial_referrer`
+         * @param unset OPTIONAL | names of properties to remove from the person
          */
-        identify({ distinctId, properties }: IdentifyMessage): void
+        identify({ distinctId, properties, setOnce, unset }: IdentifyMessage): void
 
         /**
          * @description To marry up whatever a user does before they sign up or log in with what they do after you need to make an alias call.
@@ -65,6 +173,54 @@ declare module 'posthog-node' {
          */
         alias(data: { distinctId: string; alias: string }): void
 
+        /**
+         * @description Capture an error as an `$exception` event with its type, message and stack frames.
+         * Without a distinctId, from the arguments or the request context, the event isn't attributed to a person.
+         * @param error the error to capture
+         * @param distinctId OPTIONAL | the user who ran into the error
+         * @param properties OPTIONAL | any other properties to add to the event
+         */
+        captureException(error: unknown, distinctId?: string, properties?: Record<string | number, any>): this
+
+        /**
+         * @description Register super properties, which are added to the properties of every captured event.
+         * Properties passed to `capture` take precedence.
+         * @param properties the properties to add
+         */
+        register(properties: Record<string | number, any>): this
+
+        /**
+         * @description Register super properties that aren't registered yet.
+         * @param properties the properties to add
+         */
+        registerOnce(properties: Record<string | number, any>): this
+
+        /**
+         * @description Remove a super property.
+         * @param key the name of the property
+         */
+        unregister(key: string): this
+
+        /**
+         * @description Get a client that adds properties to every event it captures, without changing this client.
+         * @param properties the properties to add, for example `{ requestId }`
+         */
+        withContext(properties: Record<string | number, any>): ScopedClient
+
+        /**
+         * @description Run a function in a request context. `capture` and the feature flag methods fall back to
+         * the `distinctId` of the context and add its groups and properties, for anything called from the function
+         * including asynchronous callbacks. Nested contexts extend the outer one. Requires Node.js 12.17 or later.
+         * @param context the distinctId, groups and properties of the request
+         * @param fn the function to run
+         */
+        runWithContext<T>(context: RequestContext, fn: () => T): T
+
+        /**
+         * @description The current request context, if any.
+         */
+        getContext(): RequestContext | undefined
+
 
         /**
          * @description PostHog feature flags (https://posthog.com/docs/features/feature-flags)
@@ -76,10 +232,60 @@ declare module 'posthog-node' {
          * @param distinctId the current unique id
          * @param defaultResult optional - default value to be returned if the feature flag is not on for the user
          * @param groups optional - what groups are currently active (group analytics)
+         * @param personProperties optional - known properties of the person, used to evaluate the flag locally
+         * @param groupProperties optional - known properties of each group, keyed by group type
         */
-        isFeatureEnabled(key: string, distinctId: string, defaultResult?: boolean, groups?: Record<GroupType, GroupKey>): Promise<boolean>
+        isFeatureEnabled(
+            key: string,
+            distinctId?: string,
+            defaultResult?: boolean,
+            groups?: Record<GroupType, GroupKey>,
+            personProperties?: Record<string, any>,
+            groupProperties?: Record<GroupType, Record<string, any>>
+        ): Promise<boolean>
 
 
+        /**
+         * @description Get the value of a feature flag for a given user. For multivariate flags this is the
+         * variant key the user is bucketed into (e.g. 'control' or 'test'), for other flags it is a boolean.
+         * IMPORTANT: To use this method, you need to specify `personalApiKey` in your config! More info: https://posthog.com/docs/api/overview
+         * @param key the unique key of your feature flag
+         * @param distinctId the current unique id
+         * @param options optional - groups, person properties and group properties used to evaluate the flag
+         * @returns undefined if the flag doesn't exist or flags couldn't be loaded
+        */
+        getFeatureFlag(
+            key: string,
+            distinctId?: string,
+            options?: FeatureFlagOptions
+        ): Promise<string | boolean | undefined>
+
+        /**
+         * @description Get the JSON payload attached to a feature flag, or to the variant of a multivariate flag.
+         * IMPORTANT: To use this method, you need to specify `personalApiKey` in your config! More info: https://posthog.com/docs/api/overview
+         * @param key the unique key of your feature flag
+         * @param distinctId the current unique id
+         * @param matchValue optional - the flag value to get the payload for. If omitted, the flag is evaluated for the user first
+         * @param options optional - groups, person properties and group properties used to evaluate the flag
+         * @returns undefined if the flag doesn't exist, isn't enabled or has no payload for the value
+        */
+        getFeatureFlagPayload(
+            key: string,
+            distinctId?: string,
+            matchValue?: string | boolean,
+            options?: FeatureFlagOptions
+        ): Promise<JsonType | undefined>
+
+        /**
+         * @description Get the values of all active feature flags for a given user in one go. Flags are evaluated
+         * locally where possible, with a single call to PostHog for the ones that can't be. If that call fails,
+         * only the flags evaluated locally are returned. No `$feature_flag_called` events are sent for these.
+         * IMPORTANT: To use this method, you need to specify `personalApiKey` in your config! More info: https://posthog.com/docs/api/overview
+         * @param distinctId the current unique id
+         * @param options optional - groups, person properties and group properties used to evaluate the flags
+        */
+        getAllFlags(distinctId?: string, options?: FeatureFlagOptions): Promise<Record<string, string | boolean>>
+
         /**
          * @description Sets a groups properties, which allows asking questions like "Who are the most active companies"
          * using my product in PostHog.
@@ -96,11 +302,133 @@ declare module 'posthog-node' {
         */
         reloadFeatureFlags(): Promise<void>
 
+        /**
+         * @description The number of messages waiting to be delivered.
+        */
+        readonly queueDepth: number
+
+        /**
+         * @description The number of messages dropped because the queue was full.
+        */
+        readonly droppedEvents: number
+
+        /**
+         * @description Resolves once the queue has room for new messages. Await this before capturing to apply
+         * backpressure when `queueOverflow` is 'block': up to `maxQueueSize` messages wait for room in a full
+         * queue, and newer ones are dropped.
+        */
+        waitForCapacity(): Promise<void>
+
+        /**
+         * @description Sends every message still in the queue to PostHog.
+         * @param callback optional - called once the queue is flushed, with the first delivery error if any
+         * @returns a promise that resolves once all queued messages are delivered, or rejects with the first delivery error
+        */
+        flush(callback?: (err?: Error, data?: FlushData) => void): Promise<FlushData | undefined>
+
         /**
          * @description Flushes the events still in the queue and clears the feature flags poller to allow for
          * a clean shutdown.
+         * @param timeoutMs optional - how long to wait for the queue to be delivered
+         * @returns a promise that resolves once the queue is drained, or rejects if `timeoutMs` passes first
         */
-        shutdown(): void
+        shutdown(timeoutMs?: number): Promise<void>
+    }
+
+}
+
+declare module 'posthog-node/storage' {
+    interface FileStorageOptions {
+        path: string
+        maxSize?: number // Maximum size of the file in bytes, the oldest batches are evicted first
+        maxBatches?: number // Maximum number of stored batches, the oldest batches are evicted first
+    }
+
+    export class FileStorage {
+        constructor(options: FileStorageOptions)
+        append(batch: any[]): Promise<void>
+        drain(): Promise<any[][]>
+    }
+}
+
+declare module 'posthog-node/transport' {
+    import { Transport, TransportRequest, TransportResponse } from 'posthog-node'
+
+    interface TransportOptions {
+        retryCount?: number
+        onRetry?: (retryCount: number, error: Error, request: 'sendBatch' | 'fetchFlags' | 'decide') => void
+    }
+
+    export class AxiosTransport implements Transport {
+        constructor(options?: TransportOptions)
+        sendBatch(req: TransportRequest): Promise<TransportResponse>
+        fetchFlags(req: TransportRequest): Promise<TransportResponse>
+        decide(req: TransportRequest): Promise<TransportResponse>
+    }
+
+    export class FetchTransport implements Transport {
+        constructor(options?: TransportOptions & { fetch?: (...args: any[]) => Promise<any> })
+        sendBatch(req: TransportRequest): Promise<TransportResponse>
+        fetchFlags(req: TransportRequest): Promise<TransportResponse>
+        decide(req: TransportRequest): Promise<TransportResponse>
+    }
+}
+
+declare module 'posthog-node/middleware' {
+    import PostHog from 'posthog-node'
+
+    interface MiddlewareOptions {
+        getDistinctId?: (req: any) => string | undefined | null // Gets the user from the request, `ctx` in Koa
+        getGroups?: (req: any) => Record<string, string | number> | undefined | null
+        captureEvent?: string // Captured for every request of a known user, e.g. 'api request' or '$pageview'
+        flags?: boolean | string[] // Evaluate all or the given feature flags as `featureFlags` on the request
+        properties?: Record<string | number, any> // Added to every event captured during the request
+    }
+
+    export function expressMiddleware(
+        client: PostHog,
+        options?: MiddlewareOptions
+    ): (req: any, res: any, next: (err?: any) => void) => void
+    export function koaMiddleware(
+        client: PostHog,
+        options?: MiddlewareOptions
+    ): (ctx: any, next: () => Promise<any>) => Promise<void>
+    export function fastifyPlugin(
+        client: PostHog,
+        options?: MiddlewareOptions
+    ): (fastify: any, opts: any, done: (err?: Error) => void) => void
+}
+
+declare module 'posthog-node/testing' {
+    import PostHog, { Option } from 'posthog-node'
+
+    interface CapturedFilter {
+        event?: string
+        distinctId?: string
+        type?: 'capture' | 'identify' | 'alias'
+    }
+
+    /**
+     * A client for unit tests, which records the messages it would send in memory instead of sending them,
+     * and evaluates feature flags from stubs.
+     */
+    export class TestClient extends PostHog {
+        constructor(options?: Option)
+        captured: any[]
+        /**
+         * @description The recorded messages, optionally only those matching all of the given fields.
+         */
+        getCaptured(filter?: CapturedFilter): any[]
+        /**
+         * @description Stub the value of a feature flag, for everyone or for one user.
+         * Flags that aren't stubbed are undefined, or disabled for `isFeatureEnabled`.
+         */
+        stubFlag(key: string, value: boolean | string, distinctId?: string): this
+        /**
+         * @description Forget the recorded messages and the stubbed feature flags.
+         */
+        reset(): this
     }
 
+    export function createTestClient(options?: Option): TestClient
 }
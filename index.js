@@ -1,46 +1,158 @@
 'use strict'
 
 const assert = require('assert')
+const { AsyncLocalStorage } = require('async_hooks')
+const EventEmitter = require('events')
+const { promisify } = require('util')
+const zlib = require('zlib')
 const removeSlash = require('remove-trailing-slash')
-const axios = require('axios')
-const axiosRetry = require('axios-retry')
 const ms = require('ms')
+const { v4: uuidv4 } = require('uuid')
 const version = require('./package.json').version
 const looselyValidate = require('./event-validation')
-const { FeatureFlagsPoller } = require('./feature-flags')
+const { FeatureFlagsPoller, _hash } = require('./feature-flags')
+const LRUCache = require('./lru-cache')
+const CircuitBreaker = require('./circuit-breaker')
+const { Redactor } = require('./redaction')
+const { exceptionProperties } = require('./exceptions')
+const { createTransport, getRetryAfter, isErrorRetryable } = require('./transport')
 
 const setImmediate = global.setImmediate || process.nextTick.bind(process)
+const gzip = promisify(zlib.gzip)
 const noop = () => {}
 
 const FIVE_MINUTES = 5 * 60 * 1000
-class PostHog {
+const FEATURE_FLAG_CALLED_CACHE_SIZE = 50000
+const MAX_BATCH_SIZE = 500 * 1024
+const EXCEPTION_FLUSH_TIMEOUT = 2000
+const UNCAUGHT_ERROR_EVENTS = ['uncaughtException', 'unhandledRejection']
+const QUEUE_OVERFLOW_POLICIES = ['dropOldest', 'dropNewest', 'block']
+const COMPRESSION_REJECTED_STATUSES = [400, 415]
+const DELIVERY_PAUSED_MESSAGE = 'PostHog delivery is paused after repeated failures.'
+
+// clients with `exceptionAutocapture` enabled, they share a single listener for each event of the process
+const autocaptureClients = new Set()
+const uncaughtErrorListeners = {}
+
+class PostHog extends EventEmitter {
     /**
      * Initialize a new `PostHog` with your PostHog project's `apiKey` and an
      * optional dictionary of `options`.
      *
+     * The client emits these events:
+     *   - `flush` (data) after a batch was delivered
+     *   - `error` (err) when a batch couldn't be delivered or stored,
+     *     only emitted if there is a listener for it
+     *   - `retry` ({ retryCount, error, request }) before a failed request is retried, `request` is
+     *     'sendBatch' for batches and 'fetchFlags' or 'decide' for feature flags
+     *   - `dropped` (messages) when messages are dropped because the queue is full
+     *   - `redacted` (fields, message) when personal data was found in the properties of a message
+     *   - `circuitOpen` (err) when delivery is paused after repeated failures
+     *   - `circuitClose` () when delivery resumes after a successful probe
+     *   - `flagsLoaded` (flags) after feature flags were loaded
+     *   - `flagsLoadFailed` (err) when feature flags couldn't be loaded
+     *
      * @param {String} apiKey
      * @param {Object} [options] (optional)
      *   @property {Number} flushAt (default: 20)
+     *   @property {Number} maxBatchSize (default: 512000) the maximum size of a batch in bytes
      *   @property {Number} flushInterval (default: 10000)
      *   @property {String} host (default: 'https://app.posthog.com')
      *   @property {Boolean} enable (default: true)
      *   @property {String} featureFlagsPollingInterval (default: 300000)
      *   @property {String} personalApiKey
+     *   @property {Object|Array|String} bootstrapFlags flag definitions to use until they are polled,
+     *     or instead of polling them without a `personalApiKey`: an `api/feature_flag` response,
+     *     an array of flags or the path of a JSON file holding either
+     *   @property {Object} flagOverrides flag values for everyone, e.g. `{ 'beta-feature': true }`,
+     *     which win over flag definitions and `/decide/`
+     *   @property {Object} flagOverridesByDistinctId flag values by distinct id, which win over `flagOverrides`
+     *   @property {String} flagCachePath a file to keep the last loaded flag definitions in, which are
+     *     used on the next start until the flags are loaded again, e.g. when PostHog can't be reached
+     *   @property {Boolean} sendFeatureFlagEvent (default: true)
+     *   @property {Number} featureFlagCalledCacheSize (default: 50000)
+     *   @property {Object} storage spools undelivered batches, e.g. a `FileStorage` from `posthog-node/storage`
+     *   @property {Number} maxQueueSize (default: Infinity)
+     *   @property {String} queueOverflow (default: 'dropOldest') one of 'dropOldest', 'dropNewest' or 'block',
+     *     see `waitForCapacity`
+     *   @property {Number} retryCount (default: 3)
+     *   @property {Object|Boolean} circuitBreaker (default: { failureThreshold: 5, resetTimeout: 30000 })
+     *     pauses delivery after `failureThreshold` failed batches in a row, or for as long as PostHog asks
+     *     with `Retry-After`, and probes again after `resetTimeout` milliseconds, or `false` to never pause
+     *   @property {Function} beforeSend called with every message before it is queued, returns the
+     *     message to send, which it may modify, or nothing to drop it
+     *   @property {Object} sampleRates the share of users to capture an event for, by event name,
+     *     e.g. `{ 'api request': 0.05 }`, sampled events get a `$sample_rate` property
+     *   @property {Object} redact scrubs personal data from `properties`, `$set` and `$set_once`,
+     *     see `redaction.js` for its options
+     *   @property {Boolean} exceptionAutocapture (default: false) capture uncaught exceptions and
+     *     unhandled rejections as `$exception` events, then exit where Node.js would have exited
+     *   @property {String} compression set to 'gzip' to compress batches, falls back to uncompressed
+     *     batches if the server rejects them
+     *   @property {String|Object} transport (default: 'axios') 'axios', 'fetch' or an object implementing
+     *     `sendBatch`, `fetchFlags` and `decide`, see `transport.js`
      */
 
     constructor(apiKey, options) {
+        super()
         options = options || {}
 
         assert(apiKey, "You must pass your PostHog project's api key.")
 
+        assert(
+            !options.queueOverflow || QUEUE_OVERFLOW_POLICIES.indexOf(options.queueOverflow) !== -1,
+            `"queueOverflow" must be one of ${QUEUE_OVERFLOW_POLICIES.join(', ')}.`
+        )
+
+        assert(!options.beforeSend || typeof options.beforeSend === 'function', '"beforeSend" must be a function.')
+
+        const sampleRates = options.sampleRates || {}
+        for (const event of Object.keys(sampleRates)) {
+            assert(
+                typeof sampleRates[event] === 'number' && sampleRates[event] >= 0 && sampleRates[event] <= 1,
+                `The sample rate of "${event}" must be a number between 0 and 1.`
+            )
+        }
+
+        assert(!options.compression || options.compression === 'gzip', '"compression" must be "gzip" when set.')
+
         this.queue = []
+        // messages waiting for room in a full queue when `queueOverflow` is 'block', at most `maxQueueSize`
+        this.blockedQueue = []
+        this.capacityWaiters = []
+        this.maxQueueSize = Math.max(options.maxQueueSize, 1) || Infinity
+        this.queueOverflow = options.queueOverflow || 'dropOldest'
+        this.droppedEvents = 0
         this.apiKey = apiKey
         this.host = removeSlash(options.host || 'https://app.posthog.com')
         this.timeout = options.timeout || false
+        this.compression = options.compression || null
+        this.beforeSend = options.beforeSend || null
+        this.sampleRates = sampleRates
+        this.redactor = options.redact ? new Redactor(options.redact) : null
+        this.superProperties = {}
+        // created by the first `runWithContext`, `AsyncLocalStorage` needs Node.js 12.17
+        this.contextStorage = null
         this.flushAt = Math.max(options.flushAt, 1) || 20
+        this.maxBatchSize = options.maxBatchSize || MAX_BATCH_SIZE
+        // bytes enqueued since the last flush
+        this.unflushedBytes = 0
         this.flushInterval = typeof options.flushInterval === 'number' ? options.flushInterval : 10000
         this.flushed = false
+        this.flushing = Promise.resolve()
+        this.pendingFlushes = 0
+        // captures waiting for feature flags before they can be enqueued
+        this.pendingCaptures = new Set()
         this.personalApiKey = options.personalApiKey
+        this.storage = options.storage
+        this.circuitBreaker = new CircuitBreaker(
+            options.circuitBreaker === false
+                ? { failureThreshold: Infinity, honorRetryAfter: false }
+                : options.circuitBreaker
+        )
+        this.probeTimer = null
+        // there may be batches left over from a previous run
+        this.hasStoredBatches = !!this.storage
 
         Object.defineProperty(this, 'enable', {
             configurable: false,
@@ -49,14 +161,39 @@ class PostHog {
             value: typeof options.enable === 'boolean' ? options.enable : true,
         })
 
-        axiosRetry(axios, {
-            retries: options.retryCount || 3,
-            retryCondition: this._isErrorRetryable,
-            retryDelay: axiosRetry.exponentialDelay,
+        if (options.exceptionAutocapture) {
+            this._enableExceptionAutocapture()
+        }
+
+        this.transport = createTransport(options.transport, {
+            retryCount: options.retryCount || 3,
+            onRetry: (retryCount, error, request) => this.emit('retry', { retryCount, error, request }),
         })
 
-        if (this.personalApiKey) {
+        this._replayStoredBatches()
+
+        // flags can be evaluated without polling them from bootstrapped definitions and overrides
+        const hasLocalFlags = !!(options.bootstrapFlags || options.flagOverrides || options.flagOverridesByDistinctId)
+        if (this.personalApiKey || hasLocalFlags) {
+            const sendFeatureFlagEvent =
+                typeof options.sendFeatureFlagEvent === 'boolean' ? options.sendFeatureFlagEvent : true
+
+            // remembers which (distinctId, key, response) combinations were already reported
+            this.featureFlagCalledCache = new LRUCache(
+                options.featureFlagCalledCacheSize || FEATURE_FLAG_CALLED_CACHE_SIZE
+            )
+
             const featureFlagCalledCallback = (key, distinctId, isFlagEnabledResponse) => {
+                if (!sendFeatureFlagEvent) {
+                    return
+                }
+
+                const cacheKey = JSON.stringify([distinctId, key, isFlagEnabledResponse])
+                if (this.featureFlagCalledCache.has(cacheKey)) {
+                    return
+                }
+                this.featureFlagCalledCache.set(cacheKey)
+
                 this.capture({
                     distinctId,
                     event: '$feature_flag_called',
@@ -76,7 +213,14 @@ class PostHog {
                 projectApiKey: apiKey,
                 timeout: options.timeout || false,
                 host: this.host,
+                transport: this.transport,
                 featureFlagCalledCallback,
+                onFlagsLoaded: (flags) => this.emit('flagsLoaded', flags),
+                onFlagsLoadFailed: (err) => this.emit('flagsLoadFailed', err),
+                bootstrapFlags: options.bootstrapFlags,
+                flagOverrides: options.flagOverrides,
+                flagOverridesByDistinctId: options.flagOverridesByDistinctId,
+                flagCachePath: options.flagCachePath,
             })
         }
     }
@@ -97,7 +241,9 @@ class PostHog {
     }
 
     /**
-     * Send an identify `message`.
+     * Send an identify `message`. Its `properties` are set on the person,
+     * `setOnce` only sets properties the person doesn't have yet and `unset`
+     * lists the properties to remove.
      *
      * @param {Object} message
      * @param {Function} [callback] (optional)
@@ -115,13 +261,28 @@ class PostHog {
                 $lib_version: version,
             },
         })
+        delete apiMessage.setOnce
+        delete apiMessage.unset
+
+        if (message.setOnce) {
+            apiMessage.$set_once = message.setOnce
+        }
+        // PostHog only reads `$unset` from the properties
+        if (message.unset) {
+            apiMessage.properties.$unset = message.unset
+        }
 
         this.enqueue('identify', apiMessage, callback)
         return this
     }
 
     /**
-     * Send a capture `message`.
+     * Send a capture `message`. Set `message.sendFeatureFlags` to attach the
+     * user's feature flags to the event, which requires a `personalApiKey`.
+     * `setOnce` and `unset` update the person like they do for `identify`.
+     * Registered super properties are added to the event's properties, and
+     * the `distinctId`, groups and properties of the current request context
+     * are used where the message omits them, see `runWithContext`.
      *
      * @param {Object} message
      * @param {Function} [callback] (optional)
@@ -129,9 +290,10 @@ class PostHog {
      */
 
     capture(message, callback) {
+        message = this._applyContext(message)
         this._validate(message, 'capture')
 
-        const properties = Object.assign({}, message.properties, {
+        const properties = Object.assign({}, this.superProperties, message.properties, {
             $lib: 'posthog-node',
             $lib_version: version,
         })
@@ -141,9 +303,45 @@ class PostHog {
             delete message.groups
         }
 
+        if (message.setOnce) {
+            properties.$set_once = Object.assign({}, properties.$set_once, message.setOnce)
+        }
+        if (message.unset) {
+            properties.$unset = message.unset
+        }
+
         const apiMessage = Object.assign({}, message, { properties })
+        delete apiMessage.sendFeatureFlags
+        delete apiMessage.setOnce
+        delete apiMessage.unset
+
+        if (!message.sendFeatureFlags || !this.featureFlagsPoller) {
+            this.enqueue('capture', apiMessage, callback)
+            return this
+        }
 
-        this.enqueue('capture', apiMessage, callback)
+        const pendingCapture = this.featureFlagsPoller
+            .getAllFlags(message.distinctId, { groups: properties.$groups })
+            // flags are best effort, the event is captured without them if they can't be evaluated
+            .catch(() => null)
+            .then((flags) => {
+                if (!flags) {
+                    this.enqueue('capture', apiMessage, callback)
+                    return
+                }
+
+                const activeFlags = Object.keys(flags).filter((key) => flags[key] !== false)
+                const flagProperties = { $active_feature_flags: activeFlags }
+                for (const key of Object.keys(flags)) {
+                    flagProperties[`$feature/${key}`] = flags[key]
+                }
+
+                apiMessage.properties = Object.assign(flagProperties, properties)
+                this.enqueue('capture', apiMessage, callback)
+            })
+            .then(() => this.pendingCaptures.delete(pendingCapture))
+
+        this.pendingCaptures.add(pendingCapture)
         return this
     }
 
@@ -199,6 +397,198 @@ class PostHog {
         return this.capture(captureMessage, callback)
     }
 
+    /**
+     * Capture `error` as an `$exception` event with its type, message and
+     * stack frames. Without a `distinctId`, from the arguments or the request
+     * context, the event isn't attributed to a person.
+     *
+     * @param {Error} error
+     * @param {String} [distinctId] (optional)
+     * @param {Object} [properties] (optional)
+     * @return {PostHog}
+     */
+
+    captureException(error, distinctId, properties) {
+        const exception = exceptionProperties(error, properties)
+
+        distinctId = this._contextDistinctId(distinctId)
+        if (!distinctId) {
+            distinctId = uuidv4()
+            exception.$process_person_profile = false
+        }
+
+        return this.capture({
+            distinctId,
+            event: '$exception',
+            properties: Object.assign({}, properties, exception),
+        })
+    }
+
+    _enableExceptionAutocapture() {
+        if (!autocaptureClients.size) {
+            for (const event of UNCAUGHT_ERROR_EVENTS) {
+                uncaughtErrorListeners[event] = (error) => handleUncaughtError(event, error)
+                process.on(event, uncaughtErrorListeners[event])
+            }
+        }
+        autocaptureClients.add(this)
+    }
+
+    _disableExceptionAutocapture() {
+        if (!autocaptureClients.delete(this) || autocaptureClients.size) {
+            return
+        }
+        for (const event of UNCAUGHT_ERROR_EVENTS) {
+            process.removeListener(event, uncaughtErrorListeners[event])
+            delete uncaughtErrorListeners[event]
+        }
+    }
+
+    /**
+     * @param {Error} error
+     * @param {Boolean} exit whether the process exits once the exception is delivered
+     * @return {Promise}
+     */
+
+    _captureUncaughtError(error, exit) {
+        this.captureException(error, undefined, { $exception_handled: false })
+
+        // the app carries on when it handles the error itself, so the client has to keep working
+        const delivered = exit ? this.shutdown(EXCEPTION_FLUSH_TIMEOUT) : this.flush()
+        return delivered.catch(noop)
+    }
+
+    /**
+     * Register super properties, which are added to the properties of every
+     * captured event. Properties passed to `capture` take precedence.
+     *
+     * @param {Object} properties
+     * @return {PostHog}
+     */
+
+    register(properties) {
+        Object.assign(this.superProperties, properties)
+        return this
+    }
+
+    /**
+     * Register super properties that aren't registered yet.
+     *
+     * @param {Object} properties
+     * @return {PostHog}
+     */
+
+    registerOnce(properties) {
+        this.superProperties = Object.assign({}, properties, this.superProperties)
+        return this
+    }
+
+    /**
+     * Remove a super property.
+     *
+     * @param {String} key
+     * @return {PostHog}
+     */
+
+    unregister(key) {
+        delete this.superProperties[key]
+        return this
+    }
+
+    /**
+     * Run `fn` in a request context. `capture` and the feature flag methods
+     * fall back to the `distinctId` of the context when it is omitted, and add
+     * its groups and properties, for anything called from `fn` including
+     * asynchronous callbacks. Nested contexts extend the outer one.
+     * Requires Node.js 12.17 or later.
+     *
+     * @param {Object} context
+     *   @property {String} distinctId
+     *   @property {Object} groups
+     *   @property {Object} properties
+     * @param {Function} fn
+     * @return {*} the return value of `fn`
+     */
+
+    runWithContext(context, fn) {
+        const outer = this.getContext() || {}
+        context = context || {}
+
+        if (!this.contextStorage) {
+            assert(AsyncLocalStorage, 'Request contexts require Node.js 12.17 or later.')
+            this.contextStorage = new AsyncLocalStorage()
+        }
+
+        return this.contextStorage.run(
+            {
+                distinctId: context.distinctId || outer.distinctId,
+                groups: Object.assign({}, outer.groups, context.groups),
+                properties: Object.assign({}, outer.properties, context.properties),
+            },
+            fn
+        )
+    }
+
+    /**
+     * The current request context.
+     *
+     * @return {Object|undefined}
+     */
+
+    getContext() {
+        return this.contextStorage ? this.contextStorage.getStore() : undefined
+    }
+
+    _applyContext(message) {
+        const context = this.getContext()
+        if (!context || !message || typeof message !== 'object') {
+            return message
+        }
+
+        const contextual = Object.assign({}, message, {
+            distinctId: this._contextDistinctId(message.distinctId),
+            properties: Object.assign({}, context.properties, message.properties),
+        })
+        if (Object.keys(context.groups).length) {
+            contextual.groups = this._contextGroups(message.groups)
+        }
+        return contextual
+    }
+
+    _contextDistinctId(distinctId) {
+        const context = this.getContext()
+        return distinctId || (context && context.distinctId)
+    }
+
+    _contextGroups(groups) {
+        const context = this.getContext()
+        return context ? Object.assign({}, context.groups, groups) : groups
+    }
+
+    /**
+     * Get a client that adds `properties` to every event it captures, without
+     * changing this client. It shares the queue of this client.
+     *
+     * @param {Object} properties
+     * @return {ScopedClient}
+     */
+
+    withContext(properties) {
+        return new ScopedClient(this, { properties })
+    }
+
+    /**
+     * Get a scoped client for the request `context` of the middleware, which
+     * also works outside of `runWithContext`.
+     *
+     * @param {Object} context `{ distinctId, groups, properties }`
+     * @return {ScopedClient}
+     */
+
+    _withRequestContext(context) {
+        return new ScopedClient(this, context)
+    }
+
     /**
      * Add a `message` of type `type` to the queue and
      * check whether it should be flushed.
@@ -230,7 +620,34 @@ class PostHog {
             delete message.distinctId
         }
 
-        this.queue.push({ message, callback })
+        message = this._sample(message)
+        if (!message) {
+            return setImmediate(callback)
+        }
+
+        if (this.beforeSend) {
+            try {
+                message = this.beforeSend(message)
+            } catch (err) {
+                this._emitError(err)
+                return setImmediate(() => callback(err))
+            }
+
+            if (!message) {
+                return setImmediate(callback)
+            }
+        }
+
+        if (this.redactor) {
+            const redaction = this.redactor.redact(message)
+            message = redaction.message
+            if (redaction.fields.length) {
+                this.emit('redacted', redaction.fields, message)
+            }
+        }
+
+        this._addToQueue({ message, callback })
+        this.unflushedBytes += this._messageSize(message)
 
         if (!this.flushed) {
             this.flushed = true
@@ -238,7 +655,7 @@ class PostHog {
             return
         }
 
-        if (this.queue.length >= this.flushAt) {
+        if (this.queue.length >= this.flushAt || this.unflushedBytes >= this.maxBatchSize) {
             this.flush()
         }
 
@@ -247,11 +664,169 @@ class PostHog {
         }
     }
 
-    async isFeatureEnabled(key, distinctId, defaultResult = false, groups = {}) {
-        this._validate({ key, distinctId, defaultResult, groups }, 'isFeatureEnabled')
-        assert(this.personalApiKey, 'You have to specify the option personalApiKey to use feature flags.')
+    /**
+     * Apply the sample rate of the event of a capture `message`. Users are
+     * either always or never sampled for an event, so their funnels stay whole.
+     *
+     * @param {Object} message
+     * @return {Object|null} the message with its `$sample_rate`, or null if it isn't sampled
+     * @api private
+     */
+
+    _sample(message) {
+        const rate = message.type === 'capture' ? this.sampleRates[message.event] : undefined
+        if (rate === undefined) {
+            return message
+        }
+
+        if (_hash(message.event, message.distinct_id, 'sampling') >= rate) {
+            return null
+        }
+
+        message.properties = Object.assign({}, message.properties, { $sample_rate: rate })
+        return message
+    }
+
+    /**
+     * The number of messages waiting to be delivered.
+     *
+     * @return {Number}
+     */
+
+    get queueDepth() {
+        return this.queue.length + this.blockedQueue.length
+    }
+
+    /**
+     * Resolves once the queue has room for new messages, so callers can apply
+     * backpressure when `queueOverflow` is 'block'. Up to `maxQueueSize`
+     * messages wait for room in a full queue, newer ones are dropped.
+     *
+     * @return {Promise}
+     */
+
+    waitForCapacity() {
+        if (this.queue.length < this.maxQueueSize && !this.blockedQueue.length) {
+            return Promise.resolve()
+        }
+
+        return new Promise((resolve) => this.capacityWaiters.push(resolve))
+    }
+
+    _addToQueue(item) {
+        if (this.queue.length < this.maxQueueSize) {
+            this.queue.push(item)
+            return
+        }
+
+        switch (this.queueOverflow) {
+            case 'dropNewest':
+                this._drop([item])
+                break
+            case 'block':
+                // callers that don't wait for capacity would otherwise grow the memory without limit
+                if (this.blockedQueue.length >= this.maxQueueSize) {
+                    this._drop([item])
+                    break
+                }
+                this.blockedQueue.push(item)
+                if (this.blockedQueue.length === 1) {
+                    this.flush()
+                }
+                break
+            default:
+                this._drop(this.queue.splice(0, this.queue.length - this.maxQueueSize + 1))
+                this.queue.push(item)
+        }
+    }
+
+    _drop(items) {
+        this.droppedEvents += items.length
+
+        const err = new Error('The PostHog queue is full, the message was dropped.')
+        items.forEach((item) => item.callback(err))
+        this.emit(
+            'dropped',
+            items.map((item) => item.message)
+        )
+    }
+
+    // move blocked messages into the queue as it drains
+    _admitBlockedMessages() {
+        const room = this.maxQueueSize - this.queue.length
+        if (room > 0 && this.blockedQueue.length) {
+            this.queue.push(...this.blockedQueue.splice(0, room))
+        }
+
+        if (this.queue.length < this.maxQueueSize && !this.blockedQueue.length) {
+            this.capacityWaiters.splice(0).forEach((resolve) => resolve())
+        }
+    }
+
+    async isFeatureEnabled(
+        key,
+        distinctId,
+        defaultResult = false,
+        groups = {},
+        personProperties = {},
+        groupProperties = {}
+    ) {
+        distinctId = this._contextDistinctId(distinctId)
+        groups = this._contextGroups(groups)
+        this._validate(
+            { key, distinctId, defaultResult, groups, personProperties, groupProperties },
+            'isFeatureEnabled'
+        )
+        assert(this.featureFlagsPoller, 'You have to specify the option personalApiKey to use feature flags.')
+
+        return await this.featureFlagsPoller.isFeatureEnabled(
+            key,
+            distinctId,
+            defaultResult,
+            groups,
+            personProperties,
+            groupProperties
+        )
+    }
+
+    async getFeatureFlag(key, distinctId, { groups = {}, personProperties = {}, groupProperties = {} } = {}) {
+        distinctId = this._contextDistinctId(distinctId)
+        groups = this._contextGroups(groups)
+        this._validate({ key, distinctId, groups, personProperties, groupProperties }, 'getFeatureFlag')
+        assert(this.featureFlagsPoller, 'You have to specify the option personalApiKey to use feature flags.')
+
+        return await this.featureFlagsPoller.getFeatureFlag(key, distinctId, {
+            groups,
+            personProperties,
+            groupProperties,
+        })
+    }
+
+    async getFeatureFlagPayload(
+        key,
+        distinctId,
+        matchValue,
+        { groups = {}, personProperties = {}, groupProperties = {} } = {}
+    ) {
+        distinctId = this._contextDistinctId(distinctId)
+        groups = this._contextGroups(groups)
+        this._validate({ key, distinctId, groups, personProperties, groupProperties }, 'getFeatureFlag')
+        assert(this.featureFlagsPoller, 'You have to specify the option personalApiKey to use feature flags.')
+
+        return await this.featureFlagsPoller.getFeatureFlagPayload(key, distinctId, matchValue, {
+            groups,
+            personProperties,
+            groupProperties,
+        })
+    }
+
+    async getAllFlags(distinctId, { groups = {}, personProperties = {}, groupProperties = {} } = {}) {
+        distinctId = this._contextDistinctId(distinctId)
+        groups = this._contextGroups(groups)
+        this._validate({ distinctId, groups, personProperties, groupProperties }, 'getAllFlags')
+        assert(this.featureFlagsPoller, 'You have to specify the option personalApiKey to use feature flags.')
 
-        return await this.featureFlagsPoller.isFeatureEnabled(key, distinctId, defaultResult, groups)
+        return await this.featureFlagsPoller.getAllFlags(distinctId, { groups, personProperties, groupProperties })
     }
 
     async reloadFeatureFlags() {
@@ -259,17 +834,21 @@ class PostHog {
     }
 
     /**
-     * Flush the current queue
+     * Flush the current queue, sending every queued message in batches of at
+     * most `flushAt` messages and `maxBatchSize` bytes. Flushes never overlap:
+     * a flush started while another one is in flight waits for it to finish first.
      *
      * @param {Function} [callback] (optional)
-     * @return {PostHog}
+     * @return {Promise} resolves once all queued messages are delivered, or
+     *   rejects with the first delivery error
      */
 
     flush(callback) {
         callback = callback || noop
 
         if (!this.enable) {
-            return setImmediate(callback)
+            setImmediate(callback)
+            return Promise.resolve()
         }
 
         if (this.timer) {
@@ -277,11 +856,85 @@ class PostHog {
             this.timer = null
         }
 
-        if (!this.queue.length) {
-            return setImmediate(callback)
+        this.unflushedBytes = 0
+
+        let flushed
+        if (!this.pendingFlushes && !this.pendingCaptures.size) {
+            // start right away, so the first batch leaves the queue synchronously
+            flushed = this._flushQueue()
+        } else {
+            // wait for the flush in flight and for captures still evaluating feature flags
+            const waitFor = [this.flushing].concat(Array.from(this.pendingCaptures))
+            flushed = Promise.all(waitFor).then(() => this._flushQueue())
         }
 
-        const items = this.queue.splice(0, this.flushAt)
+        this.pendingFlushes++
+        this.flushing = flushed.catch(noop).then(() => {
+            this.pendingFlushes--
+        })
+
+        // handling the result here also keeps fire-and-forget flushes from causing unhandled rejections
+        flushed.then(
+            (data) => callback(null, data),
+            (err) => callback(err)
+        )
+        return flushed
+    }
+
+    async _flushQueue() {
+        const batch = []
+        let error = null
+
+        while (this.queue.length) {
+            if (!this.circuitBreaker.allowRequest()) {
+                // keep the messages queued until the next probe
+                this._scheduleProbe()
+                error = error || new Error(DELIVERY_PAUSED_MESSAGE)
+                break
+            }
+
+            const items = this._takeBatch()
+            this._admitBlockedMessages()
+
+            try {
+                await this._sendBatch(items)
+            } catch (err) {
+                error = error || err
+            }
+
+            batch.push(...items.map((item) => item.message))
+        }
+
+        if (error) {
+            throw error
+        }
+
+        return batch.length ? { api_key: this.apiKey, batch } : undefined
+    }
+
+    _takeBatch() {
+        // the batch is sent as `{"api_key":"...","batch":[...]}`
+        let size = Buffer.byteLength(JSON.stringify({ api_key: this.apiKey, batch: [] }), 'utf8')
+        let count = 0
+
+        while (count < this.queue.length && count < this.flushAt) {
+            size += this._messageSize(this.queue[count].message)
+            // a message larger than `maxBatchSize` is still sent, on its own
+            if (count && size > this.maxBatchSize) {
+                break
+            }
+            count++
+        }
+
+        return this.queue.splice(0, count)
+    }
+
+    _messageSize(message) {
+        // one more byte for the comma separating it from the next message
+        return Buffer.byteLength(JSON.stringify(message), 'utf8') + 1
+    }
+
+    _sendBatch(items) {
         const callbacks = items.map((item) => item.callback)
         const messages = items.map((item) => item.message)
 
@@ -292,7 +945,11 @@ class PostHog {
 
         const done = (err) => {
             callbacks.forEach((callback) => callback(err))
-            callback(err, data)
+            if (err) {
+                this._emitError(err)
+                throw err
+            }
+            this.emit('flush', data)
         }
 
         // Don't set the user agent if we're not on a browser. The latest spec allows
@@ -305,7 +962,6 @@ class PostHog {
         }
 
         const req = {
-            method: 'POST',
             url: `${this.host}/batch/`,
             data,
             headers,
@@ -315,47 +971,346 @@ class PostHog {
             req.timeout = typeof this.timeout === 'string' ? ms(this.timeout) : this.timeout
         }
 
-        axios(req)
-            .then(() => done())
-            .catch((err) => {
+        return this._deliverBatch(req).then(
+            () => {
+                this._recordDelivery()
+                done()
+                this._replayStoredBatches()
+            },
+            async (err) => {
+                if (err.response && err.response.status === 413 && items.length > 1) {
+                    return this._splitBatch(items)
+                }
+
+                if (!err.response || this._isErrorRetryable(err)) {
+                    this._recordDeliveryFailure(err)
+                } else {
+                    // PostHog is up, it just didn't accept this batch
+                    this._recordDelivery()
+                }
+
+                // keep batches that couldn't reach PostHog, but not the ones it rejected, before
+                // `flush` resolves so they are on disk by the time the process exits
+                if (this.storage && (!err.response || this._isErrorRetryable(err))) {
+                    await this._storeBatch(messages)
+                }
+
                 if (err.response) {
                     const error = new Error(err.response.statusText)
                     return done(error)
                 }
 
                 done(err)
+            }
+        )
+    }
+
+    _recordDelivery() {
+        const wasClosed = this.circuitBreaker.isClosed
+        this.circuitBreaker.recordSuccess()
+
+        if (!wasClosed) {
+            this.emit('circuitClose')
+        }
+    }
+
+    _recordDeliveryFailure(err) {
+        const wasClosed = this.circuitBreaker.isClosed
+        this.circuitBreaker.recordFailure(getRetryAfter(err))
+
+        if (wasClosed && !this.circuitBreaker.isClosed) {
+            this.emit('circuitOpen', err)
+        }
+    }
+
+    _scheduleProbe() {
+        if (this.probeTimer) {
+            return
+        }
+
+        this.probeTimer = setTimeout(() => {
+            this.probeTimer = null
+            this.flush()
+        }, this.circuitBreaker.remainingTimeout)
+    }
+
+    async _splitBatch(items) {
+        const middle = Math.ceil(items.length / 2)
+        let error = null
+
+        for (const half of [items.slice(0, middle), items.slice(middle)]) {
+            try {
+                await this._sendBatch(half)
+            } catch (err) {
+                error = error || err
+            }
+        }
+
+        if (error) {
+            throw error
+        }
+    }
+
+    async _deliverBatch(req) {
+        if (this.compression !== 'gzip') {
+            return this.transport.sendBatch(req)
+        }
+
+        const compressedReq = Object.assign({}, req, {
+            data: await gzip(JSON.stringify(req.data)),
+            headers: Object.assign({}, req.headers, {
+                'Content-Type': 'application/json',
+                'Content-Encoding': 'gzip',
+            }),
+        })
+
+        try {
+            return await this.transport.sendBatch(compressedReq)
+        } catch (err) {
+            if (!err.response || COMPRESSION_REJECTED_STATUSES.indexOf(err.response.status) === -1) {
+                throw err
+            }
+
+            // PostHog, or a proxy in front of it, doesn't accept compressed bodies
+            const res = await this.transport.sendBatch(req)
+            this.compression = null
+            return res
+        }
+    }
+
+    _storeBatch(messages) {
+        this.hasStoredBatches = true
+        return this.storage.append(messages).catch((err) => this._emitError(err))
+    }
+
+    // messages still queued while delivery is paused would be lost with the process, store them for the next run
+    async _storeQueue() {
+        if (!this.storage) {
+            return
+        }
+
+        while (this.queue.length) {
+            const items = this._takeBatch()
+            this._admitBlockedMessages()
+
+            await this._storeBatch(items.map((item) => item.message))
+            const err = new Error(DELIVERY_PAUSED_MESSAGE)
+            items.forEach((item) => item.callback(err))
+        }
+    }
+
+    /**
+     * Move batches spooled to the storage back into the queue, so they are
+     * delivered with the next flush.
+     *
+     * @api private
+     */
+
+    _replayStoredBatches() {
+        if (!this.storage || !this.hasStoredBatches) {
+            return
+        }
+        this.hasStoredBatches = false
+
+        this.storage
+            .drain()
+            .then((batches) => {
+                for (const batch of batches) {
+                    for (const message of batch) {
+                        this._addToQueue({ message, callback: noop })
+                    }
+                }
+
+                if (this.queue.length) {
+                    this.flush()
+                }
+            })
+            .catch((err) => {
+                this.hasStoredBatches = true
+                this._emitError(err)
             })
     }
 
-    shutdown() {
-        if (this.personalApiKey) {
+    // an `error` event without listeners would throw, so errors are only emitted when someone listens
+    _emitError(err) {
+        if (this.listenerCount('error')) {
+            this.emit('error', err)
+        }
+    }
+
+    /**
+     * Stop polling feature flags and deliver every queued message. Messages
+     * held back while delivery is paused are kept in the `storage`, if any.
+     *
+     * @param {Number} [timeoutMs] (optional) how long to wait for delivery
+     * @return {Promise} resolves once the queue is drained, even if some
+     *   batches failed to deliver, or rejects if `timeoutMs` passes first
+     */
+
+    shutdown(timeoutMs) {
+        if (this.featureFlagsPoller) {
             this.featureFlagsPoller.stopPoller()
         }
-        this.flush()
+        this._disableExceptionAutocapture()
+
+        // delivery errors are reported to the message callbacks, shutting down carries on regardless
+        const drained = this.flush()
+            .catch(noop)
+            .then(() => this._storeQueue())
+            .then(() => {
+                clearTimeout(this.probeTimer)
+                this.probeTimer = null
+            })
+
+        if (!timeoutMs) {
+            return drained
+        }
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(
+                () => reject(new Error(`PostHog shutdown timed out after ${timeoutMs}ms.`)),
+                timeoutMs
+            )
+            drained.then(() => {
+                clearTimeout(timer)
+                resolve()
+            })
+        })
     }
 
     _isErrorRetryable(error) {
-        // Retry Network Errors.
-        if (axiosRetry.isNetworkError(error)) {
-            return true
+        return isErrorRetryable(error)
+    }
+}
+
+function handleUncaughtError(event, error) {
+    // listening replaces the default of printing the error and exiting, unless the app listens too
+    const exit = process.listenerCount(event) === 1 && (event !== 'unhandledRejection' || exitsOnUnhandledRejection())
+    const clients = Array.from(autocaptureClients)
+
+    Promise.all(clients.map((client) => client._captureUncaughtError(error, exit))).then(() => {
+        if (exit) {
+            console.error(error)
+            process.exit(1)
         }
+    })
+}
+
+/**
+ * Whether Node.js exits on an unhandled rejection nobody listens for, which it
+ * does since version 15 unless `--unhandled-rejections` says otherwise.
+ *
+ * @return {Boolean}
+ */
 
-        if (!error.response) {
-            // Cannot determine if the request can be retried
-            return false
+function exitsOnUnhandledRejection() {
+    const flags = process.execArgv.concat((process.env.NODE_OPTIONS || '').split(/\s+/))
+    const flag = flags.filter((arg) => arg.startsWith('--unhandled-rejections=')).pop()
+    if (flag) {
+        // `strict` reports the rejection as an uncaught exception first
+        return flag === '--unhandled-rejections=throw'
+    }
+    return Number(process.versions.node.split('.')[0]) >= 15
+}
+
+class ScopedClient {
+    /**
+     * A view of a `PostHog` client adding `properties` to captured events,
+     * created with `withContext`. The middleware also binds the `distinctId`
+     * and `groups` of the request, used where a call omits them.
+     *
+     * @param {PostHog} client
+     * @param {Object} context `{ distinctId, groups, properties }`
+     */
+
+    constructor(client, context) {
+        this.client = client
+        this.distinctId = context.distinctId
+        this.groups = Object.assign({}, context.groups)
+        this.properties = Object.assign({}, context.properties)
+    }
+
+    capture(message, callback) {
+        // leave invalid messages for the client to reject
+        if (message && typeof message === 'object') {
+            const properties = Object.assign({}, this.properties, message.properties)
+            message = Object.assign(this._bind(message), { properties })
+            if (Object.keys(this.groups).length) {
+                message.groups = this._groups(message.groups)
+            }
         }
 
-        // Retry Server Errors (5xx).
-        if (error.response.status >= 500 && error.response.status <= 599) {
-            return true
+        this.client.capture(message, callback)
+        return this
+    }
+
+    identify(message, callback) {
+        if (message && typeof message === 'object') {
+            message = this._bind(message)
         }
 
-        // Retry if rate limited.
-        if (error.response.status === 429) {
-            return true
+        this.client.identify(message, callback)
+        return this
+    }
+
+    alias(message, callback) {
+        this.client.alias(message, callback)
+        return this
+    }
+
+    groupIdentify(message, callback) {
+        this.client.groupIdentify(message, callback)
+        return this
+    }
+
+    isFeatureEnabled(key, distinctId, defaultResult, groups, ...args) {
+        return this.client.isFeatureEnabled(
+            key,
+            distinctId || this.distinctId,
+            defaultResult,
+            this._groups(groups),
+            ...args
+        )
+    }
+
+    getFeatureFlag(key, distinctId, options) {
+        return this.client.getFeatureFlag(key, distinctId || this.distinctId, this._options(options))
+    }
+
+    getFeatureFlagPayload(key, distinctId, matchValue, options) {
+        return this.client.getFeatureFlagPayload(key, distinctId || this.distinctId, matchValue, this._options(options))
+    }
+
+    getAllFlags(distinctId, options) {
+        return this.client.getAllFlags(distinctId || this.distinctId, this._options(options))
+    }
+
+    flush(callback) {
+        return this.client.flush(callback)
+    }
+
+    withContext(properties) {
+        return new ScopedClient(this.client, {
+            distinctId: this.distinctId,
+            groups: this.groups,
+            properties: Object.assign({}, this.properties, properties),
+        })
+    }
+
+    _bind(message) {
+        message = Object.assign({}, message)
+        if (!message.distinctId && this.distinctId) {
+            message.distinctId = this.distinctId
         }
+        return message
+    }
+
+    _groups(groups) {
+        return Object.assign({}, this.groups, groups)
+    }
 
-        return false
+    _options(options) {
+        return Object.assign({}, options, { groups: this._groups(options && options.groups) })
     }
 }
 
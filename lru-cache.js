@@ -0,0 +1,44 @@
+'use strict'
+
+/**
+ * A minimal least-recently-used cache backed by a `Map`, which keeps keys in
+ * insertion order: the first key is always the least recently used one.
+ */
+
+class LRUCache {
+    constructor(maxSize) {
+        this.maxSize = maxSize
+        this.cache = new Map()
+    }
+
+    get size() {
+        return this.cache.size
+    }
+
+    has(key) {
+        if (!this.cache.has(key)) {
+            return false
+        }
+
+        // re-insert the key to mark it as the most recently used
+        const value = this.cache.get(key)
+        this.cache.delete(key)
+        this.cache.set(key, value)
+        return true
+    }
+
+    set(key, value = true) {
+        this.cache.delete(key)
+        this.cache.set(key, value)
+
+        while (this.cache.size > this.maxSize) {
+            this.cache.delete(this.cache.keys().next().value)
+        }
+    }
+
+    clear() {
+        this.cache.clear()
+    }
+}
+
+module.exports = LRUCache
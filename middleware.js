@@ -0,0 +1,188 @@
+'use strict'
+
+const noop = () => {}
+
+/**
+ * Middleware for Express, Koa and Fastify. For every request they:
+ *
+ * - get the distinct id and groups of the user from the request
+ * - run the rest of the request in a request context of the client, see `PostHog#runWithContext`
+ * - attach a client scoped to the user as `posthog` and the evaluated feature flags as
+ *   `featureFlags` to the request (the `ctx.state` in Koa)
+ * - optionally capture an event with the method, route, status and latency of the request
+ *
+ * They all take the same options:
+ *
+ * - `getDistinctId` called with the request (the `ctx` in Koa), returns the distinct id of the
+ *   user or nothing for anonymous requests
+ * - `getGroups` called like `getDistinctId`, returns the groups of the user
+ * - `captureEvent` the event to capture for every request of a known user, such as 'api request'
+ *   or '$pageview', none by default
+ * - `flags` true to evaluate all feature flags for the user, or an array of the flags to evaluate,
+ *   requires a `personalApiKey`
+ * - `properties` added to every event captured during the request
+ */
+
+/**
+ * @param {PostHog} client
+ * @param {Object} [options] (optional)
+ * @return {Function} the Express middleware
+ */
+
+function expressMiddleware(client, options) {
+    const handler = createRequestHandler(client, options)
+
+    return (req, res, next) => {
+        const startedAt = Date.now()
+
+        handler
+            .start(req, req)
+            .then((context) => {
+                res.on('finish', () => {
+                    const route = req.route ? req.baseUrl + req.route.path : req.path
+                    handler.finish(context, { method: req.method, route, status: res.statusCode, startedAt })
+                })
+                client.runWithContext(context, next)
+            })
+            .catch(next)
+    }
+}
+
+/**
+ * @param {PostHog} client
+ * @param {Object} [options] (optional)
+ * @return {Function} the Koa middleware
+ */
+
+function koaMiddleware(client, options) {
+    const handler = createRequestHandler(client, options)
+
+    return async (ctx, next) => {
+        const startedAt = Date.now()
+        const context = await handler.start(ctx, ctx.state)
+        const finish = (status) => {
+            const route = ctx._matchedRoute || ctx.path
+            handler.finish(context, { method: ctx.method, route, status, startedAt })
+        }
+
+        try {
+            await client.runWithContext(context, next)
+            finish(ctx.status)
+        } catch (err) {
+            // Koa turns the error into a response once it leaves the middleware
+            finish(err.status || 500)
+            throw err
+        }
+    }
+}
+
+/**
+ * @param {PostHog} client
+ * @param {Object} [options] (optional)
+ * @return {Function} the Fastify plugin, to `register`
+ */
+
+function fastifyPlugin(client, options) {
+    const handler = createRequestHandler(client, options)
+    const contexts = new WeakMap()
+
+    const plugin = (fastify, opts, done) => {
+        fastify.decorateRequest('posthog', null)
+        fastify.decorateRequest('featureFlags', null)
+
+        fastify.addHook('onRequest', (request, reply, hookDone) => {
+            const startedAt = Date.now()
+
+            handler
+                .start(request, request)
+                .then((context) => {
+                    contexts.set(request, { context, startedAt })
+                    client.runWithContext(context, hookDone)
+                })
+                .catch(hookDone)
+        })
+
+        fastify.addHook('onResponse', (request, reply, hookDone) => {
+            const { context, startedAt } = contexts.get(request) || {}
+            if (context) {
+                const route = (request.routeOptions && request.routeOptions.url) || request.routerPath || request.url
+                handler.finish(context, { method: request.method, route, status: reply.statusCode, startedAt })
+            }
+            hookDone()
+        })
+
+        done()
+    }
+
+    // apply the hooks to the whole app instead of an encapsulated context, like `fastify-plugin` does
+    plugin[Symbol.for('skip-override')] = true
+    return plugin
+}
+
+function createRequestHandler(client, options) {
+    options = options || {}
+
+    const getDistinctId = options.getDistinctId || noop
+    const getGroups = options.getGroups || noop
+
+    return {
+        async start(req, target) {
+            const context = {
+                distinctId: getDistinctId(req) || undefined,
+                groups: getGroups(req) || {},
+                properties: Object.assign({}, options.properties),
+            }
+
+            target.posthog = client._withRequestContext(context)
+            target.featureFlags = options.flags ? await evaluateFlags(client, context, options.flags) : {}
+
+            return context
+        },
+
+        finish(context, { method, route, status, startedAt }) {
+            if (!options.captureEvent || !context.distinctId) {
+                return
+            }
+
+            client.capture({
+                distinctId: context.distinctId,
+                event: options.captureEvent,
+                groups: context.groups,
+                properties: Object.assign({}, context.properties, {
+                    method,
+                    route,
+                    status,
+                    latency_ms: Date.now() - startedAt,
+                }),
+            })
+        },
+    }
+}
+
+async function evaluateFlags(client, { distinctId, groups }, flags) {
+    if (!distinctId) {
+        return {}
+    }
+
+    try {
+        if (!Array.isArray(flags)) {
+            return await client.getAllFlags(distinctId, { groups })
+        }
+
+        const values = await Promise.all(flags.map((key) => client.getFeatureFlag(key, distinctId, { groups })))
+        const result = {}
+        flags.forEach((key, i) => {
+            result[key] = values[i] === undefined ? false : values[i]
+        })
+        return result
+    } catch (err) {
+        // flags are best effort, the request carries on without them
+        return {}
+    }
+}
+
+module.exports = {
+    expressMiddleware,
+    koaMiddleware,
+    fastifyPlugin,
+}
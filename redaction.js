@@ -0,0 +1,133 @@
+'use strict'
+
+const assert = require('assert')
+
+// the fields of a message holding user supplied properties, `$group_set` lives in `properties`
+const REDACTED_FIELDS = ['properties', '$set', '$set_once']
+
+const DETECTORS = {
+    email: { pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g },
+    // card numbers of the major networks start with 2 to 6, which leaves out millisecond timestamps
+    creditCard: { pattern: /\b[2-6](?:[ -]?\d){12,18}\b/g, validate: isLuhnValid },
+    jwt: { pattern: /\beyJ[\w-]+\.eyJ[\w-]+\.[\w-]*/g },
+}
+
+/**
+ * Scrubs personal data from the properties of messages before they are
+ * queued: the values of deny-listed keys are replaced as a whole, and parts of
+ * string values matching a pattern or a built-in detector are replaced.
+ */
+
+class Redactor {
+    /**
+     * @param {Object} [options] (optional)
+     *   @property {Array<String>} keys property keys to always redact, matched case-insensitively
+     *   @property {Array<RegExp>} patterns values to redact
+     *   @property {Array<String>} detectors (default: ['email', 'creditCard', 'jwt'])
+     *   @property {String} replacement (default: '[REDACTED]')
+     *   @property {String} mode (default: 'redact') or 'report' to only report the fields that would be redacted
+     */
+
+    constructor(options) {
+        options = options || {}
+
+        const detectors = options.detectors || Object.keys(DETECTORS)
+        for (const name of detectors) {
+            assert(DETECTORS[name], `Unknown detector: "${name}"`)
+        }
+        assert(
+            !options.mode || options.mode === 'redact' || options.mode === 'report',
+            `Unknown mode: "${options.mode}"`
+        )
+
+        this.keys = (options.keys || []).map((key) => key.toLowerCase())
+        this.scrubbers = (options.patterns || [])
+            .map((pattern) => ({ pattern: globalRegExp(pattern) }))
+            .concat(detectors.map((name) => DETECTORS[name]))
+        this.replacement = typeof options.replacement === 'string' ? options.replacement : '[REDACTED]'
+        this.reportOnly = options.mode === 'report'
+    }
+
+    /**
+     * @param {Object} message
+     * @return {Object} `{ message, fields }`, the redacted copy of the message, or the message itself
+     *   in 'report' mode, and the paths of the redacted fields such as `properties.email`
+     */
+
+    redact(message) {
+        const fields = []
+        const redacted = Object.assign({}, message)
+
+        for (const field of REDACTED_FIELDS) {
+            if (message[field] && typeof message[field] === 'object') {
+                redacted[field] = this._redactValue(message[field], field, fields)
+            }
+        }
+
+        return { message: this.reportOnly ? message : redacted, fields }
+    }
+
+    _redactValue(value, path, fields) {
+        if (typeof value === 'string') {
+            const scrubbed = this._scrub(value)
+            if (scrubbed !== value) {
+                fields.push(path)
+            }
+            return scrubbed
+        }
+
+        if (Array.isArray(value)) {
+            return value.map((item, i) => this._redactValue(item, `${path}.${i}`, fields))
+        }
+
+        if (value && typeof value === 'object' && !(value instanceof Date)) {
+            const result = {}
+            for (const key of Object.keys(value)) {
+                const keyPath = `${path}.${key}`
+                if (this.keys.indexOf(key.toLowerCase()) !== -1) {
+                    fields.push(keyPath)
+                    result[key] = this.replacement
+                } else {
+                    result[key] = this._redactValue(value[key], keyPath, fields)
+                }
+            }
+            return result
+        }
+
+        return value
+    }
+
+    _scrub(value) {
+        for (const { pattern, validate } of this.scrubbers) {
+            value = value.replace(pattern, (match) => (!validate || validate(match) ? this.replacement : match))
+        }
+        return value
+    }
+}
+
+function globalRegExp(pattern) {
+    return pattern.global ? pattern : new RegExp(pattern.source, pattern.flags + 'g')
+}
+
+// rules out most numbers that merely look like card numbers, such as ids
+function isLuhnValid(value) {
+    const digits = value.replace(/\D/g, '')
+    let sum = 0
+
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i])
+        if (i % 2 === 1) {
+            digit *= 2
+            if (digit > 9) {
+                digit -= 9
+            }
+        }
+        sum += digit
+    }
+
+    return sum % 10 === 0
+}
+
+module.exports = {
+    Redactor,
+}
@@ -0,0 +1,114 @@
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs').promises
+const path = require('path')
+const { writeFileAtomically } = require('./atomic-write')
+
+const DEFAULT_MAX_SIZE = 5 * 1024 * 1024
+const DEFAULT_MAX_BATCHES = 1000
+
+const noop = () => {}
+
+/**
+ * Spools undelivered batches to a file, one JSON-encoded batch per line, so
+ * they survive process restarts. Any object implementing `append(batch)` and
+ * `drain()` can be passed as the `storage` option of `PostHog` instead.
+ */
+
+class FileStorage {
+    /**
+     * @param {Object} options
+     *   @property {String} path the file to spool batches to
+     *   @property {Number} maxSize (default: 5 MB) the maximum size of the file in bytes
+     *   @property {Number} maxBatches (default: 1000) the maximum number of stored batches
+     */
+
+    constructor(options) {
+        options = options || {}
+
+        assert(options.path, 'You must pass a "path" to store batches in.')
+
+        this.path = options.path
+        this.maxSize = options.maxSize || DEFAULT_MAX_SIZE
+        this.maxBatches = options.maxBatches || DEFAULT_MAX_BATCHES
+        this.pending = Promise.resolve()
+    }
+
+    /**
+     * Store an undelivered batch, evicting the oldest batches when the
+     * storage grows over its limits.
+     *
+     * @param {Array} batch
+     * @return {Promise}
+     */
+
+    append(batch) {
+        return this._serialize(async () => {
+            await fs.mkdir(path.dirname(this.path), { recursive: true })
+            await fs.appendFile(this.path, JSON.stringify(batch) + '\n')
+            await this._evict()
+        })
+    }
+
+    /**
+     * Remove and return all stored batches, oldest first.
+     *
+     * @return {Promise<Array>}
+     */
+
+    drain() {
+        return this._serialize(async () => {
+            const lines = await this._readLines()
+            await fs.unlink(this.path).catch(ignoreMissingFile)
+
+            const batches = []
+            for (const line of lines) {
+                try {
+                    batches.push(JSON.parse(line))
+                } catch (err) {
+                    // skip lines left incomplete by a crash mid-write
+                }
+            }
+            return batches
+        })
+    }
+
+    async _evict() {
+        const { size } = await fs.stat(this.path)
+        const lines = await this._readLines()
+
+        if (size <= this.maxSize && lines.length <= this.maxBatches) {
+            return
+        }
+
+        let bytes = size
+        while (lines.length && (bytes > this.maxSize || lines.length > this.maxBatches)) {
+            bytes -= Buffer.byteLength(lines.shift(), 'utf8') + 1
+        }
+
+        await writeFileAtomically(this.path, lines.map((line) => line + '\n').join(''))
+    }
+
+    async _readLines() {
+        const content = await fs.readFile(this.path, 'utf8').catch(ignoreMissingFile)
+        return (content || '').split('\n').filter(Boolean)
+    }
+
+    // file operations run one at a time so appends and drains never interleave
+    _serialize(operation) {
+        const result = this.pending.then(operation)
+        this.pending = result.catch(noop)
+        return result
+    }
+}
+
+function ignoreMissingFile(err) {
+    if (err.code !== 'ENOENT') {
+        throw err
+    }
+}
+
+module.exports = {
+    FileStorage,
+}
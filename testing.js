@@ -0,0 +1,146 @@
+'use strict'
+
+const PostHog = require('./index')
+
+const noop = () => {}
+const setImmediate = global.setImmediate || process.nextTick.bind(process)
+
+/**
+ * Stands in for the feature flags poller of a test client, answering with
+ * the values stubbed with `TestClient#stubFlag` instead of asking PostHog.
+ */
+
+class StubFeatureFlags {
+    constructor() {
+        // flag key -> Map of distinct id (null for everyone) -> value
+        this.flags = new Map()
+    }
+
+    set(key, value, distinctId) {
+        if (!this.flags.has(key)) {
+            this.flags.set(key, new Map())
+        }
+        this.flags.get(key).set(distinctId === undefined ? null : distinctId, value)
+    }
+
+    clear() {
+        this.flags.clear()
+    }
+
+    async getFeatureFlag(key, distinctId) {
+        const values = this.flags.get(key)
+        if (!values) {
+            return undefined
+        }
+
+        return values.has(distinctId) ? values.get(distinctId) : values.get(null)
+    }
+
+    async isFeatureEnabled(key, distinctId, defaultResult) {
+        const value = await this.getFeatureFlag(key, distinctId)
+        return value === undefined ? defaultResult : !!value
+    }
+
+    async getFeatureFlagPayload() {
+        return undefined
+    }
+
+    async getAllFlags(distinctId) {
+        const flags = {}
+        for (const key of this.flags.keys()) {
+            const value = await this.getFeatureFlag(key, distinctId)
+            if (value !== undefined) {
+                flags[key] = value
+            }
+        }
+        return flags
+    }
+
+    async loadFeatureFlags() {}
+
+    stopPoller() {}
+}
+
+class TestClient extends PostHog {
+    /**
+     * A client for unit tests, which records the messages it would send in
+     * memory instead of sending them, and evaluates feature flags from stubs.
+     * Messages still go through `beforeSend`, sampling and redaction.
+     *
+     * @param {Object} [options] (optional) the options of `PostHog`
+     */
+
+    constructor(options) {
+        super('test-api-key', Object.assign({}, options, { personalApiKey: undefined, flushInterval: 0 }))
+
+        this.captured = []
+        this.featureFlagsPoller = new StubFeatureFlags()
+    }
+
+    _addToQueue(item) {
+        this.captured.push(item.message)
+        setImmediate(item.callback || noop)
+    }
+
+    /**
+     * The recorded messages, optionally only those matching all of the given fields.
+     *
+     * @param {Object} [filter] (optional)
+     *   @property {String} event
+     *   @property {String} distinctId
+     *   @property {String} type one of 'capture', 'identify' or 'alias'
+     * @return {Array<Object>}
+     */
+
+    getCaptured(filter) {
+        filter = filter || {}
+
+        return this.captured.filter(
+            (message) =>
+                (filter.event === undefined || message.event === filter.event) &&
+                (filter.distinctId === undefined || message.distinct_id === filter.distinctId) &&
+                (filter.type === undefined || message.type === filter.type)
+        )
+    }
+
+    /**
+     * Stub the value of a feature flag, for everyone or for one user.
+     * Flags that aren't stubbed are undefined, or disabled for `isFeatureEnabled`.
+     *
+     * @param {String} key
+     * @param {Boolean|String} value true, false or the variant of a multivariate flag
+     * @param {String} [distinctId] (optional) only stub the flag for this user
+     * @return {TestClient}
+     */
+
+    stubFlag(key, value, distinctId) {
+        this.featureFlagsPoller.set(key, value, distinctId)
+        return this
+    }
+
+    /**
+     * Forget the recorded messages and the stubbed feature flags.
+     *
+     * @return {TestClient}
+     */
+
+    reset() {
+        this.captured = []
+        this.featureFlagsPoller.clear()
+        return this
+    }
+}
+
+/**
+ * @param {Object} [options] (optional) the options of `PostHog`
+ * @return {TestClient}
+ */
+
+function createTestClient(options) {
+    return new TestClient(options)
+}
+
+module.exports = {
+    TestClient,
+    createTestClient,
+}
@@ -1,5 +1,5 @@
 const mockSimpleFlagResponse = {
-    "count": 1,
+    "count": 8,
     "next": null,
     "previous": null,
     "results": [
@@ -27,7 +27,13 @@ const mockSimpleFlagResponse = {
             "filters": {
                 "groups": [
                     {
-                        "properties": [],
+                        "properties": [
+                            {
+                                "key": "id",
+                                "type": "cohort",
+                                "value": 98
+                            }
+                        ],
                         "rollout_percentage": null
                     }
                 ]
@@ -41,6 +47,116 @@ const mockSimpleFlagResponse = {
             "id": 721,
             "name": "",
             "key": "disabled-flag",
+            "filters": {
+                "groups": [
+                    {
+                        "properties": [
+                            {
+                                "key": "id",
+                                "type": "cohort",
+                                "value": 98
+                            }
+                        ],
+                        "rollout_percentage": null
+                    }
+                ]
+            },
+            "deleted": false,
+            "active": true,
+            "is_simple_flag": false,
+            "rollout_percentage": null
+        },
+        {
+            "id": 722,
+            "name": "",
+            "key": "beta-feature",
+            "filters": {
+                "groups": [
+                    {
+                        "properties": [
+                            {
+                                "key": "region",
+                                "type": "person",
+                                "value": "USA",
+                                "operator": "exact"
+                            }
+                        ],
+                        "rollout_percentage": 100
+                    }
+                ],
+                "payloads": {
+                    "true": "{\"copy\": \"Welcome to the beta!\", \"limit\": 10}"
+                }
+            },
+            "deleted": false,
+            "active": true,
+            "is_simple_flag": false,
+            "rollout_percentage": null
+        },
+        {
+            "id": 723,
+            "name": "",
+            "key": "cohort-or-email-flag",
+            "filters": {
+                "groups": [
+                    {
+                        "properties": [
+                            {
+                                "key": "id",
+                                "type": "cohort",
+                                "value": 98
+                            }
+                        ],
+                        "rollout_percentage": null
+                    },
+                    {
+                        "properties": [
+                            {
+                                "key": "email",
+                                "type": "person",
+                                "value": "@posthog.com",
+                                "operator": "icontains"
+                            }
+                        ],
+                        "rollout_percentage": null
+                    }
+                ]
+            },
+            "deleted": false,
+            "active": true,
+            "is_simple_flag": false,
+            "rollout_percentage": null
+        },
+        {
+            "id": 724,
+            "name": "",
+            "key": "group-flag",
+            "filters": {
+                "aggregation_group_type_index": 0,
+                "groups": [
+                    {
+                        "properties": [
+                            {
+                                "key": "plan",
+                                "type": "group",
+                                "group_type_index": 0,
+                                "value": "enterprise",
+                                "operator": "exact"
+                            }
+                        ],
+                        "rollout_percentage": 100
+                    }
+                ]
+            },
+            "deleted": false,
+            "active": true,
+            "is_simple_flag": false,
+            "rollout_percentage": null
+        },
+        {
+            "id": 725,
+            "name": "",
+            "key": "inactive-flag",
             "filters": {
                 "groups": [
                     {
@@ -50,11 +166,63 @@ const mockSimpleFlagResponse = {
                 ]
             },
             "deleted": false,
+            "active": false,
+            "is_simple_flag": false,
+            "rollout_percentage": null
+        },
+        {
+            "id": 726,
+            "name": "",
+            "key": "multivariate-flag",
+            "filters": {
+                "groups": [
+                    {
+                        "properties": [],
+                        "rollout_percentage": 100
+                    },
+                    {
+                        "properties": [
+                            {
+                                "key": "email",
+                                "type": "person",
+                                "value": "vip@posthog.com",
+                                "operator": "exact"
+                            }
+                        ],
+                        "rollout_percentage": 100,
+                        "variant": "test-b"
+                    }
+                ],
+                "multivariate": {
+                    "variants": [
+                        {
+                            "key": "control",
+                            "rollout_percentage": 50
+                        },
+                        {
+                            "key": "test-a",
+                            "rollout_percentage": 25
+                        },
+                        {
+                            "key": "test-b",
+                            "rollout_percentage": 25
+                        }
+                    ]
+                },
+                "payloads": {
+                    "control": "plain text payload",
+                    "test-b": "{\"discount\": 20}"
+                }
+            },
+            "deleted": false,
             "active": true,
             "is_simple_flag": false,
             "rollout_percentage": null
         },
-    ]
+    ],
+    "group_type_mapping": {
+        "0": "company"
+    }
 }
 
 module.exports = { mockSimpleFlagResponse }
\ No newline at end of file
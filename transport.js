@@ -0,0 +1,302 @@
+'use strict'
+
+const assert = require('assert')
+const axios = require('axios')
+const axiosRetry = require('axios-retry')
+
+const noop = () => {}
+
+// longer `Retry-After` delays are left to the circuit breaker of the client, instead of holding up every flush
+const MAX_RETRY_DELAY = 30000
+
+/**
+ * Transports perform the HTTP requests of the client. Each method receives
+ * `{ url, headers, data, timeout }` and resolves with `{ status, headers, data }`.
+ * Failed requests reject with an error, which has a `response` of the same
+ * shape when the server responded.
+ *
+ * - `sendBatch` posts a batch of events to `/batch/`
+ * - `fetchFlags` gets the feature flag definitions, the poller treats a 304 response to its
+ *   `If-None-Match` and `If-Modified-Since` headers as unchanged definitions
+ * - `decide` asks PostHog to evaluate the feature flags of a user
+ */
+
+class AxiosTransport {
+    /**
+     * Send requests with a private axios instance, so the retry behaviour
+     * doesn't leak into other users of axios.
+     *
+     * @param {Object} [options] (optional)
+     *   @property {Number} retryCount (default: 3)
+     *   @property {Function} onRetry called with `(retryCount, error, request)` before a request is retried,
+     *     where `request` is the name of the method, such as 'sendBatch'
+     */
+
+    constructor(options) {
+        options = options || {}
+
+        this.onRetry = options.onRetry || noop
+
+        this.axios = axios.create()
+        axiosRetry(this.axios, {
+            retries: typeof options.retryCount === 'number' ? options.retryCount : 3,
+            retryCondition: shouldRetry,
+        })
+    }
+
+    sendBatch(req) {
+        return this._request('sendBatch', Object.assign({ method: 'POST' }, req))
+    }
+
+    fetchFlags(req) {
+        return this._request('fetchFlags', Object.assign({ method: 'GET' }, req))
+    }
+
+    decide(req) {
+        return this._request('decide', Object.assign({ method: 'POST' }, req))
+    }
+
+    async _request(request, { method, url, headers, data, timeout }) {
+        const req = {
+            method,
+            url,
+            headers,
+            data,
+            // per request options of axios-retry, so `onRetry` learns which request is retried
+            'axios-retry': {
+                retryDelay: (retryCount, error) => {
+                    this.onRetry(retryCount, error, request)
+                    return retryDelay(retryCount, error)
+                },
+            },
+        }
+
+        if (timeout) {
+            req.timeout = timeout
+        }
+
+        const res = await this.axios.request(req)
+        return { status: res.status, headers: res.headers, data: res.data }
+    }
+}
+
+class FetchTransport {
+    /**
+     * Send requests with `fetch`, for runtimes without the Node.js `http`
+     * module such as edge functions and workers.
+     *
+     * @param {Object} [options] (optional)
+     *   @property {Number} retryCount (default: 3)
+     *   @property {Function} onRetry called with `(retryCount, error, request)` before a request is retried,
+     *     where `request` is the name of the method, such as 'sendBatch'
+     *   @property {Function} fetch (default: the global `fetch`)
+     */
+
+    constructor(options) {
+        options = options || {}
+
+        this.fetch = options.fetch || global.fetch
+        this.retryCount = typeof options.retryCount === 'number' ? options.retryCount : 3
+        this.onRetry = options.onRetry || noop
+
+        assert(typeof this.fetch === 'function', 'The fetch transport requires a global `fetch` or a `fetch` option.')
+    }
+
+    sendBatch(req) {
+        return this._request('sendBatch', Object.assign({ method: 'POST' }, req))
+    }
+
+    fetchFlags(req) {
+        return this._request('fetchFlags', Object.assign({ method: 'GET' }, req))
+    }
+
+    decide(req) {
+        return this._request('decide', Object.assign({ method: 'POST' }, req))
+    }
+
+    async _request(request, req) {
+        let retryCount = 0
+
+        for (;;) {
+            try {
+                return await this._fetch(req)
+            } catch (err) {
+                if (retryCount >= this.retryCount || !shouldRetry(err)) {
+                    throw err
+                }
+
+                retryCount++
+                this.onRetry(retryCount, err, request)
+                await new Promise((resolve) => setTimeout(resolve, retryDelay(retryCount, err)))
+            }
+        }
+    }
+
+    async _fetch({ method, url, headers, data, timeout }) {
+        const controller = timeout && typeof AbortController !== 'undefined' ? new AbortController() : null
+        const timer = controller && setTimeout(() => controller.abort(), timeout)
+
+        const init = { method, headers: Object.assign({ 'Content-Type': 'application/json' }, headers) }
+        if (data !== undefined) {
+            // compressed bodies are already serialized
+            init.body = data instanceof Uint8Array ? data : JSON.stringify(data)
+        }
+        if (controller) {
+            init.signal = controller.signal
+        }
+
+        let res
+        let body
+        try {
+            res = await this.fetch(url, init)
+            body = await res.text()
+        } catch (err) {
+            // mirror the errors of axios, so both transports are retried the same way
+            const error = new Error(err.name === 'AbortError' ? `timeout of ${timeout}ms exceeded` : err.message)
+            error.code = err.name === 'AbortError' ? 'ECONNABORTED' : (err.cause && err.cause.code) || 'ENETWORK'
+            throw error
+        } finally {
+            clearTimeout(timer)
+        }
+
+        const response = {
+            status: res.status,
+            statusText: res.statusText,
+            headers: {},
+            data: parseBody(body),
+        }
+        res.headers.forEach((value, key) => {
+            response.headers[key] = value
+        })
+
+        if (!res.ok) {
+            const error = new Error(`Request failed with status code ${res.status}`)
+            error.response = response
+            throw error
+        }
+
+        return response
+    }
+}
+
+function parseBody(body) {
+    try {
+        return JSON.parse(body)
+    } catch (err) {
+        return body
+    }
+}
+
+/**
+ * Whether a failed request is worth retrying.
+ *
+ * @param {Error} error
+ * @return {Boolean}
+ */
+
+function isErrorRetryable(error) {
+    // Retry Network Errors.
+    if (axiosRetry.isNetworkError(error)) {
+        return true
+    }
+
+    if (!error.response) {
+        // Cannot determine if the request can be retried
+        return false
+    }
+
+    // Retry Server Errors (5xx).
+    if (error.response.status >= 500 && error.response.status <= 599) {
+        return true
+    }
+
+    // Retry if rate limited.
+    if (error.response.status === 429) {
+        return true
+    }
+
+    return false
+}
+
+/**
+ * Whether a failed request is retried right away by the transport. Requests
+ * the server asks to retry after more than `MAX_RETRY_DELAY` fail instead.
+ *
+ * @param {Error} error
+ * @return {Boolean}
+ */
+
+function shouldRetry(error) {
+    const retryAfter = getRetryAfter(error)
+    return isErrorRetryable(error) && (retryAfter === null || retryAfter <= MAX_RETRY_DELAY)
+}
+
+/**
+ * The milliseconds to wait before retrying a failed request, as asked by the
+ * `Retry-After` header of the response or with exponential backoff.
+ *
+ * @param {Number} retryCount
+ * @param {Error} error
+ * @return {Number}
+ */
+
+function retryDelay(retryCount, error) {
+    const retryAfter = getRetryAfter(error)
+    return retryAfter === null ? axiosRetry.exponentialDelay(retryCount) : retryAfter
+}
+
+/**
+ * The `Retry-After` header of a failed request in milliseconds, given either
+ * as a number of seconds or as an HTTP date.
+ *
+ * @param {Error} error
+ * @return {Number|null} null if the response has no valid `Retry-After` header
+ */
+
+function getRetryAfter(error) {
+    const headers = error.response && error.response.headers
+    const value = headers && headers['retry-after']
+
+    if (value === undefined || value === null || value === '') {
+        return null
+    }
+
+    if (/^\d+$/.test(value)) {
+        return Number(value) * 1000
+    }
+
+    const date = Date.parse(value)
+    return isNaN(date) ? null : Math.max(date - Date.now(), 0)
+}
+
+/**
+ * Create the transport named by the `transport` option of the client, or
+ * use the given transport object as is.
+ *
+ * @param {String|Object} [transport] (default: 'axios')
+ * @param {Object} [options] (optional) passed to the built-in transports
+ * @return {Object}
+ */
+
+function createTransport(transport, options) {
+    if (transport && typeof transport === 'object') {
+        return transport
+    }
+
+    switch (transport || 'axios') {
+        case 'axios':
+            return new AxiosTransport(options)
+        case 'fetch':
+            return new FetchTransport(options)
+        default:
+            assert(0, `Unknown transport: "${transport}"`)
+    }
+}
+
+module.exports = {
+    AxiosTransport,
+    FetchTransport,
+    createTransport,
+    getRetryAfter,
+    isErrorRetryable,
+}